@@ -1,11 +1,15 @@
 // === IMPORTS ===
 import TelegramBot from "node-telegram-bot-api";
 import fs from "fs";
+import crypto from "crypto";
+import os from "os";
+import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
 import express from "express";
 import cors from "cors";
 import rateLimit from "express-rate-limit";
 import fetch from "cross-fetch";
-import https from "https";
 import {
   Connection,
   Keypair,
@@ -13,21 +17,40 @@ import {
   SystemProgram,
   Transaction,
   ComputeBudgetProgram,
-  VersionedTransaction,
 } from "@solana/web3.js";
 import {
   getAssociatedTokenAddress,
   createAssociatedTokenAccountInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
   createTransferInstruction,
-  TOKEN_PROGRAM_ID,
 } from "@solana/spl-token";
-import bs58 from "bs58";
+import Database from "better-sqlite3";
+import {
+  LAMPORTS_PER_SOL,
+  PAYMENT_ERROR_STATUS,
+  verifyPaymentTransaction,
+  findReferencePayment
+} from "./lib/payment-verification.js";
+import { forceSettlePayment } from "./lib/admin-settle.js";
+import { createSwapAdapters, routeXPOSUREBuy, recoverBuyRoute, isSlippageError } from "./lib/swap.js";
+import { RANKED_PICKS, VOTING_MODES, tallyVotes, rankEntries, allocatePrizes } from "./lib/ranking.js";
 
 // === TELEGRAM CONFIG ===
 const token = process.env.BOT_TOKEN;
 if (!token) throw new Error("BOT_TOKEN not set");
 
 const bot = new TelegramBot(token, { polling: false });
+const BOT_USERNAME = (process.env.BOT_USERNAME || "xposure_overlord_bot").replace(/^@/, "");
+
+// Telegram user IDs allowed to run operator commands (comma-separated)
+const ADMIN_IDS = (process.env.ADMIN_IDS || "")
+  .split(",")
+  .map(id => id.trim())
+  .filter(Boolean);
+
+function isAdmin(userId) {
+  return ADMIN_IDS.includes(String(userId));
+}
 
 // === Graceful shutdown ===
 let isShuttingDown = false;
@@ -36,7 +59,7 @@ async function gracefulShutdown(signal) {
   if (isShuttingDown) return;
   isShuttingDown = true;
   console.log(`🧹 Graceful shutdown (${signal})...`);
-  saveState();
+  store.close();
   console.log("✅ Shutdown complete");
   process.exit(0);
 }
@@ -50,6 +73,9 @@ process.on("unhandledRejection", (reason, promise) => {
 const CHANNEL = "xposure_tracks_arena";
 const MAIN_CHANNEL = "xposuretoken";
 
+// Public base URL of this service - payment pages, webhook and self-ping
+const PUBLIC_URL = (process.env.PUBLIC_URL || "https://xposure-bot.onrender.com").replace(/\/+$/, "");
+
 // === SOLANA CONFIG ===
 const RPC_URL = process.env.SOLANA_RPC_URL;
 if (!RPC_URL) {
@@ -69,19 +95,546 @@ if (!TREASURY_PRIVATE_KEY) throw new Error("❌ BOT_PRIVATE_KEY missing!");
 const TREASURY_KEYPAIR = Keypair.fromSecretKey(TREASURY_PRIVATE_KEY);
 
 // === STATE ===
+// Pool totals are read-only mirrors of ledger balances - see syncPoolsFromLedger()
 let treasuryXPOSURE = 0;  // Current round prize pool (resets each round)
 let actualTreasuryBalance = 0;  // REAL treasury balance (grows perpetually)
 let transFeeCollected = 0;
-let pendingPayments = [];
-let participants = [];
-let voters = [];
+// Clock of the current round, persisted in the rounds table
 let phase = "submission";
 let cycleStartTime = null;
 let nextPhaseTime = null;
 
+// === STORAGE (SQLite) ===
+// Rounds, entries, votes, payments, payouts and the ledger live in SQLite.
+// Rows are never cleared between rounds, so the full history stays queryable.
+// Repository reads return fresh objects; write changes back with the matching save().
+const DATA_DIR = fs.existsSync("/data") ? "/data" : ".";
+const DB_FILE = `${DATA_DIR}/xposure.db`;
+const LEGACY_SAVE_FILE = `${DATA_DIR}/submissions.json`;
+
+const db = new Database(DB_FILE);
+db.pragma("journal_mode = WAL");
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS rounds (
+    id INTEGER PRIMARY KEY,
+    phase TEXT NOT NULL,
+    next_phase_time INTEGER,
+    started_at INTEGER NOT NULL,
+    closed_at INTEGER,
+    voting_mode TEXT
+  );
+  CREATE TABLE IF NOT EXISTS entries (
+    round_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    reference TEXT,
+    data TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (round_id, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS voters (
+    round_id INTEGER NOT NULL,
+    user_id TEXT NOT NULL,
+    reference TEXT,
+    data TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (round_id, user_id)
+  );
+  CREATE TABLE IF NOT EXISTS votes (
+    round_id INTEGER NOT NULL,
+    voter_id TEXT NOT NULL,
+    entry_user_id TEXT NOT NULL,
+    count INTEGER NOT NULL DEFAULT 1,
+    created_at INTEGER NOT NULL,
+    PRIMARY KEY (round_id, voter_id, entry_user_id)
+  );
+  CREATE TABLE IF NOT EXISTS payments (
+    reference TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    round_id INTEGER,
+    status TEXT NOT NULL,
+    signature TEXT UNIQUE,
+    data TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS payouts (
+    id TEXT PRIMARY KEY,
+    round_id INTEGER,
+    status TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS refunds (
+    id TEXT PRIMARY KEY,
+    reference TEXT NOT NULL,
+    status TEXT NOT NULL,
+    data TEXT NOT NULL,
+    updated_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS ledger_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at INTEGER NOT NULL,
+    asset TEXT NOT NULL,
+    memo TEXT NOT NULL,
+    ref TEXT,
+    postings TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS bonus_draws (
+    round_id INTEGER PRIMARY KEY,
+    commitment TEXT NOT NULL,
+    seed TEXT NOT NULL,
+    committed_at INTEGER NOT NULL,
+    blockhash TEXT,
+    slot INTEGER,
+    roll INTEGER,
+    won INTEGER,
+    revealed_at INTEGER
+  );
+  CREATE TABLE IF NOT EXISTS admin_audit (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    at INTEGER NOT NULL,
+    admin_id TEXT NOT NULL,
+    action TEXT NOT NULL,
+    args TEXT,
+    ok INTEGER NOT NULL,
+    data TEXT
+  );
+  CREATE TABLE IF NOT EXISTS webhook_nonces (
+    nonce TEXT PRIMARY KEY,
+    seen_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS round_results (
+    round_id INTEGER PRIMARY KEY,
+    data TEXT NOT NULL,
+    archived_at INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS track_fingerprints (
+    reference TEXT PRIMARY KEY,
+    round_id INTEGER,
+    user_id TEXT NOT NULL,
+    title TEXT,
+    content_hash TEXT NOT NULL,
+    fingerprint TEXT,
+    duration INTEGER,
+    entered INTEGER NOT NULL DEFAULT 0,
+    created_at INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS payments_status ON payments (status);
+  CREATE INDEX IF NOT EXISTS payments_user ON payments (user_id, status);
+  CREATE INDEX IF NOT EXISTS payouts_status ON payouts (status);
+  CREATE INDEX IF NOT EXISTS payouts_round ON payouts (round_id);
+  CREATE INDEX IF NOT EXISTS votes_entry ON votes (round_id, entry_user_id);
+  CREATE INDEX IF NOT EXISTS track_fingerprints_hash ON track_fingerprints (content_hash);
+`);
+
+// Columns added after a table was first created
+function addColumn(table, column, definition) {
+  const exists = db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+}
+addColumn("rounds", "voting_mode", "TEXT");
+addColumn("votes", "count", "INTEGER NOT NULL DEFAULT 1");
+
+const parseRow = (row) => row ? JSON.parse(row.data) : null;
+
+// Entries carry their vote tally, read from the votes table
+function withVotes(roundId, entries) {
+  const rows = db.prepare("SELECT voter_id, entry_user_id FROM votes WHERE round_id = ? ORDER BY created_at").all(roundId);
+  return entries.map(entry => {
+    const entryVoters = rows.filter(r => r.entry_user_id === entry.userId).map(r => r.voter_id);
+    return { ...entry, votes: entryVoters.length, voters: entryVoters };
+  });
+}
+
+function saveRoundMember(table, roundId, member) {
+  const { votes, voters, ...data } = member; // Tallies are derived, never stored
+  db.prepare(`
+    INSERT INTO ${table} (round_id, user_id, reference, data, created_at) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (round_id, user_id) DO UPDATE SET reference = excluded.reference, data = excluded.data
+  `).run(roundId, String(member.userId), member.reference || null, JSON.stringify(data), member.timestamp || Date.now());
+}
+
+const store = {
+  // Runs fn atomically; nested calls become savepoints
+  transaction(fn) {
+    try {
+      return db.transaction(fn)();
+    } catch (err) {
+      syncPoolsFromLedger(); // Pool totals may have moved inside the rolled-back transaction
+      throw err;
+    }
+  },
+
+  close() {
+    db.close();
+  },
+
+  meta: {
+    get(key, fallback = null) {
+      const row = db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+      return row ? JSON.parse(row.value) : fallback;
+    },
+    set(key, value) {
+      db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+        .run(key, JSON.stringify(value));
+    }
+  },
+
+  rounds: {
+    current() {
+      return db.prepare("SELECT * FROM rounds ORDER BY id DESC LIMIT 1").get() || null;
+    },
+    get(id) {
+      return db.prepare("SELECT * FROM rounds WHERE id = ?").get(id) || null;
+    },
+    start(id, roundPhase, nextTime, votingMode = null) {
+      db.prepare("INSERT INTO rounds (id, phase, next_phase_time, started_at, voting_mode) VALUES (?, ?, ?, ?, ?)")
+        .run(id, roundPhase, nextTime, id, votingMode);
+    },
+    setVotingMode(id, votingMode) {
+      db.prepare("UPDATE rounds SET voting_mode = ? WHERE id = ?").run(votingMode, id);
+    },
+    update(id, { phase: roundPhase, nextPhaseTime: nextTime }) {
+      db.prepare("UPDATE rounds SET phase = ?, next_phase_time = ? WHERE id = ?").run(roundPhase, nextTime, id);
+    },
+    close(id) {
+      db.prepare("UPDATE rounds SET closed_at = ? WHERE id = ? AND closed_at IS NULL").run(Date.now(), id);
+    },
+    // Closed rounds, newest first, each with its archived results (or null)
+    listClosed({ limit = 20, before = Number.MAX_SAFE_INTEGER } = {}) {
+      return db.prepare(`
+        SELECT r.*, rr.data AS results FROM rounds r
+        LEFT JOIN round_results rr ON rr.round_id = r.id
+        WHERE r.closed_at IS NOT NULL AND r.id < ?
+        ORDER BY r.id DESC LIMIT ?
+      `).all(before, limit).map(row => ({ ...row, results: row.results ? JSON.parse(row.results) : null }));
+    },
+    archive(id, results) {
+      db.prepare(`
+        INSERT INTO round_results (round_id, data, archived_at) VALUES (?, ?, ?)
+        ON CONFLICT (round_id) DO UPDATE SET data = excluded.data, archived_at = excluded.archived_at
+      `).run(id, JSON.stringify(results), Date.now());
+    },
+    results(id) {
+      return parseRow(db.prepare("SELECT data FROM round_results WHERE round_id = ?").get(id));
+    },
+    allResults() {
+      return db.prepare("SELECT round_id, data FROM round_results ORDER BY round_id").all()
+        .map(row => ({ roundId: row.round_id, ...JSON.parse(row.data) }));
+    }
+  },
+
+  entries: {
+    list(roundId) {
+      const rows = db.prepare("SELECT data FROM entries WHERE round_id = ? ORDER BY created_at").all(roundId);
+      return withVotes(roundId, rows.map(parseRow));
+    },
+    find(roundId, userId) {
+      return this.list(roundId).find(e => e.userId === String(userId)) || null;
+    },
+    findByReference(reference) {
+      return parseRow(db.prepare("SELECT data FROM entries WHERE reference = ?").get(reference));
+    },
+    save(roundId, entry) {
+      saveRoundMember("entries", roundId, entry);
+    }
+  },
+
+  voters: {
+    list(roundId) {
+      return db.prepare("SELECT data FROM voters WHERE round_id = ? ORDER BY created_at").all(roundId).map(parseRow);
+    },
+    find(roundId, userId) {
+      return parseRow(db.prepare("SELECT data FROM voters WHERE round_id = ? AND user_id = ?").get(roundId, String(userId)));
+    },
+    findByReference(reference) {
+      return parseRow(db.prepare("SELECT data FROM voters WHERE reference = ?").get(reference));
+    },
+    listClosed() {
+      return db.prepare(`
+        SELECT v.data FROM voters v JOIN rounds r ON r.id = v.round_id
+        WHERE r.closed_at IS NOT NULL ORDER BY v.round_id
+      `).all().map(parseRow);
+    },
+    save(roundId, voter) {
+      saveRoundMember("voters", roundId, voter);
+    }
+  },
+
+  // Committed bonus-draw seeds; a seed stays private until revealed_at is set
+  draws: {
+    get(roundId) {
+      return db.prepare("SELECT * FROM bonus_draws WHERE round_id = ?").get(roundId) || null;
+    },
+    commit(roundId, seed, commitment) {
+      db.prepare("INSERT OR IGNORE INTO bonus_draws (round_id, commitment, seed, committed_at) VALUES (?, ?, ?, ?)")
+        .run(roundId, commitment, seed, Date.now());
+    },
+    reveal(roundId, { blockhash, slot, roll, won }) {
+      db.prepare("UPDATE bonus_draws SET blockhash = ?, slot = ?, roll = ?, won = ?, revealed_at = ? WHERE round_id = ?")
+        .run(blockhash, slot ?? null, roll, won ? 1 : 0, Date.now(), roundId);
+    }
+  },
+
+  // Nonces of signed payment callbacks, kept for the replay window
+  nonces: {
+    // false when the nonce was already used; forgets nonces older than `since`
+    claim(nonce, since) {
+      return store.transaction(() => {
+        db.prepare("DELETE FROM webhook_nonces WHERE seen_at < ?").run(since);
+        return db.prepare("INSERT OR IGNORE INTO webhook_nonces (nonce, seen_at) VALUES (?, ?)").run(nonce, Date.now()).changes === 1;
+      });
+    }
+  },
+
+  // Append-only record of /admin actions
+  audit: {
+    append({ adminId, action, args, ok, ...data }) {
+      db.prepare("INSERT INTO admin_audit (at, admin_id, action, args, ok, data) VALUES (?, ?, ?, ?, ?, ?)")
+        .run(Date.now(), adminId, action, args || null, ok ? 1 : 0, JSON.stringify(data));
+    },
+    list(limit = 10) {
+      return db.prepare("SELECT * FROM admin_audit ORDER BY id DESC LIMIT ?").all(limit).map(row => ({
+        at: row.at,
+        adminId: row.admin_id,
+        action: row.action,
+        args: row.args,
+        ok: !!row.ok,
+        ...JSON.parse(row.data || "{}")
+      }));
+    }
+  },
+
+  // Content hash and acoustic fingerprint of every upload, keyed by payment
+  // reference. Only entered tracks and still-open uploads count as originals.
+  tracks: {
+    record({ reference, roundId, userId, title, contentHash, fingerprint, duration }) {
+      db.prepare(`
+        INSERT INTO track_fingerprints (reference, round_id, user_id, title, content_hash, fingerprint, duration, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (reference) DO UPDATE SET
+          title = excluded.title, content_hash = excluded.content_hash,
+          fingerprint = excluded.fingerprint, duration = excluded.duration
+      `).run(reference, roundId, String(userId), title, contentHash, fingerprint ? JSON.stringify(fingerprint) : null, duration ?? null, Date.now());
+    },
+    markEntered(reference) {
+      db.prepare("UPDATE track_fingerprints SET entered = 1 WHERE reference = ?").run(reference);
+    },
+    // Originals other than `reference`, optionally limited to one content hash
+    // or to fingerprinted tracks of about the same duration
+    candidates({ reference, contentHash = null, duration = null, tolerance = 0 }) {
+      return db.prepare(`
+        SELECT f.* FROM track_fingerprints f
+        LEFT JOIN payments p ON p.reference = f.reference
+        WHERE f.reference != @reference
+          AND (f.entered = 1 OR p.status = 'open')
+          AND (@contentHash IS NULL OR f.content_hash = @contentHash)
+          AND (@duration IS NULL OR (f.fingerprint IS NOT NULL AND ABS(f.duration - @duration) <= @tolerance))
+        ORDER BY f.created_at
+      `).all({ reference, contentHash, duration, tolerance }).map(row => ({
+        reference: row.reference,
+        roundId: row.round_id,
+        userId: row.user_id,
+        title: row.title,
+        duration: row.duration,
+        fingerprint: row.fingerprint ? JSON.parse(row.fingerprint) : null
+      }));
+    }
+  },
+
+  // Raw vote rows - eligibility and one-ballot rules live in castVote()
+  votes: {
+    ballot(roundId, voterId) {
+      return db.prepare("SELECT * FROM votes WHERE round_id = ? AND voter_id = ? ORDER BY created_at DESC LIMIT 1")
+        .get(roundId, voterId) || null;
+    },
+    record(roundId, voterId, entryUserId, count = 1) {
+      db.prepare("INSERT OR IGNORE INTO votes (round_id, voter_id, entry_user_id, count, created_at) VALUES (?, ?, ?, ?, ?)")
+        .run(roundId, voterId, entryUserId, count, Date.now());
+    },
+    // Adds one more vote on the entry; created_at moves to the latest vote
+    increment(roundId, voterId, entryUserId) {
+      db.prepare(`
+        INSERT INTO votes (round_id, voter_id, entry_user_id, created_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (round_id, voter_id, entry_user_id) DO UPDATE SET count = count + 1, created_at = excluded.created_at
+      `).run(roundId, voterId, entryUserId, Date.now());
+    },
+    count(roundId, voterId, entryUserId) {
+      return db.prepare("SELECT count FROM votes WHERE round_id = ? AND voter_id = ? AND entry_user_id = ?")
+        .get(roundId, voterId, entryUserId)?.count || 0;
+    },
+    // Quadratic credits spent: n votes on one entry cost n²
+    creditsUsed(roundId, voterId) {
+      return db.prepare("SELECT COALESCE(SUM(count * count), 0) AS used FROM votes WHERE round_id = ? AND voter_id = ?")
+        .get(roundId, voterId).used;
+    },
+    remove(roundId, voterId) {
+      db.prepare("DELETE FROM votes WHERE round_id = ? AND voter_id = ?").run(roundId, voterId);
+    },
+    // Drops every vote for one entry; returns the voters whose ballots were released
+    removeForEntry(roundId, entryUserId) {
+      const voterIds = db.prepare("SELECT voter_id FROM votes WHERE round_id = ? AND entry_user_id = ?")
+        .all(roundId, entryUserId).map(r => r.voter_id);
+      db.prepare("DELETE FROM votes WHERE round_id = ? AND entry_user_id = ?").run(roundId, entryUserId);
+      return voterIds;
+    },
+    list(roundId) {
+      return db.prepare("SELECT * FROM votes WHERE round_id = ? ORDER BY created_at").all(roundId);
+    }
+  },
+
+  // A payment is "open" while it belongs to the live round's working set;
+  // "expired", "cancelled" and "closed" rows are kept as history
+  payments: {
+    find(reference) {
+      return parseRow(db.prepare("SELECT data FROM payments WHERE reference = ?").get(reference));
+    },
+    findBySignature(signature) {
+      return parseRow(db.prepare("SELECT data FROM payments WHERE signature = ?").get(signature));
+    },
+    findOpenByUser(userId) {
+      return parseRow(db.prepare(
+        "SELECT data FROM payments WHERE user_id = ? AND status = 'open' ORDER BY created_at DESC LIMIT 1"
+      ).get(String(userId)));
+    },
+    open() {
+      return db.prepare("SELECT data FROM payments WHERE status = 'open' ORDER BY created_at").all().map(parseRow);
+    },
+    // Inserts or updates the payment; status is only changed when given. New
+    // rows belong to the current round unless roundId says otherwise.
+    save(payment, status = null, roundId = cycleStartTime) {
+      const now = Date.now();
+      db.prepare(`
+        INSERT INTO payments (reference, user_id, round_id, status, signature, data, created_at, updated_at)
+        VALUES (@reference, @userId, @roundId, COALESCE(@status, 'open'), @signature, @data, @createdAt, @now)
+        ON CONFLICT (reference) DO UPDATE SET
+          status = COALESCE(@status, status),
+          signature = excluded.signature,
+          data = excluded.data,
+          updated_at = @now
+      `).run({
+        reference: payment.reference,
+        userId: String(payment.userId),
+        roundId,
+        status,
+        signature: payment.signature || null,
+        data: JSON.stringify(payment),
+        createdAt: payment.createdAt || now,
+        now
+      });
+    },
+    status(reference) {
+      return db.prepare("SELECT status FROM payments WHERE reference = ?").get(reference)?.status || null;
+    },
+    setStatus(reference, status) {
+      db.prepare("UPDATE payments SET status = ?, updated_at = ? WHERE reference = ?").run(status, Date.now(), reference);
+    }
+  },
+
+  payouts: {
+    find(id) {
+      return parseRow(db.prepare("SELECT data FROM payouts WHERE id = ?").get(id));
+    },
+    list(...statuses) {
+      return db.prepare(
+        `SELECT data FROM payouts WHERE status IN (${statuses.map(() => "?").join(", ")}) ORDER BY rowid`
+      ).all(...statuses).map(parseRow);
+    },
+    listByRound(roundId) {
+      return db.prepare("SELECT data FROM payouts WHERE round_id = ? ORDER BY rowid").all(roundId).map(parseRow);
+    },
+    // Confirmed XPOSURE earned per user. Disqualification refunds only return
+    // the entrant's own pool contribution, so they don't count as earnings.
+    totalsByUser() {
+      return db.prepare(`
+        SELECT json_extract(data, '$.userId') AS userId, SUM(json_extract(data, '$.amount')) AS total
+        FROM payouts
+        WHERE status = 'confirmed' AND json_extract(data, '$.kind') = 'xposure' AND userId IS NOT NULL
+          AND json_extract(data, '$.reason') IS NOT 'Disqualification refund'
+        GROUP BY userId
+      `).all();
+    },
+    listByUser(userId, limit = 10) {
+      return db.prepare(
+        "SELECT data FROM payouts WHERE json_extract(data, '$.userId') = ? ORDER BY rowid DESC LIMIT ?"
+      ).all(String(userId), limit).map(parseRow);
+    },
+    save(item) {
+      db.prepare(`
+        INSERT INTO payouts (id, round_id, status, data, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET status = excluded.status, data = excluded.data, updated_at = excluded.updated_at
+      `).run(item.id, item.round, item.status, JSON.stringify(item), item.updatedAt || Date.now());
+    }
+  },
+
+  refunds: {
+    find(id) {
+      return parseRow(db.prepare("SELECT data FROM refunds WHERE id = ?").get(id));
+    },
+    save(record) {
+      db.prepare(`
+        INSERT INTO refunds (id, reference, status, data, updated_at) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (id) DO UPDATE SET status = excluded.status, data = excluded.data, updated_at = excluded.updated_at
+      `).run(record.id, record.reference, record.status, JSON.stringify(record), record.updatedAt);
+    }
+  },
+
+  ledger: {
+    count() {
+      return db.prepare("SELECT COUNT(*) AS n FROM ledger_entries").get().n;
+    },
+    append({ id = null, at, asset, memo, ref, postings }) {
+      const { lastInsertRowid } = db.prepare(
+        "INSERT INTO ledger_entries (id, at, asset, memo, ref, postings) VALUES (?, ?, ?, ?, ?, ?)"
+      ).run(id, at, asset, memo, ref, JSON.stringify(postings));
+      return Number(lastInsertRowid);
+    },
+    // { account: balance } for one asset, summed over every posting
+    balances(asset) {
+      const rows = db.prepare(`
+        SELECT json_extract(p.value, '$.account') AS account, SUM(json_extract(p.value, '$.amount')) AS balance
+        FROM ledger_entries e, json_each(e.postings) p
+        WHERE e.asset = ?
+        GROUP BY account
+      `).all(asset);
+      return Object.fromEntries(rows.map(r => [r.account, r.balance]));
+    }
+  }
+};
+
+// Persists the in-process round clock
+function saveRound() {
+  if (cycleStartTime) store.rounds.update(cycleStartTime, { phase, nextPhaseTime });
+}
+
+// Current round's entries and voters
+function roundEntries() {
+  return cycleStartTime ? store.entries.list(cycleStartTime) : [];
+}
+
+function roundVoters() {
+  return cycleStartTime ? store.voters.list(cycleStartTime) : [];
+}
+
+// Paid tracks still in the running; disqualified entries stay on record
+function competingEntries() {
+  return roundEntries().filter(e => e.choice === "upload" && e.paid && !e.disqualified);
+}
+
 // === PAYMENT TIMEOUT CONFIGURATION ===
 const PAYMENT_TIMEOUT = 10 * 60 * 1000; // 10 minutes timeout for payments
 
+// === REFUND CONFIGURATION ===
+const REFUND_NETWORK_FEE_LAMPORTS = 10000; // Held back from refunds to cover network fees
+const TRANSFER_RETRY_DELAYS = [0, 5000, 15000]; // Immediate attempt, then 5s and 15s
+const TRANSFER_REQUEUE_BASE_DELAY = 2 * 60 * 1000; // First re-queue retry after 2 minutes
+const TRANSFER_REQUEUE_MAX_DELAY = 60 * 60 * 1000; // Backoff caps at 1 hour
+
 // === TREASURY PRIZE SYSTEM ===
 const TREASURY_BONUS_CHANCE = 500; // 1 in 500 chance
 
@@ -95,9 +648,61 @@ function getTreasuryBonusPercentage() {
 }
 
 // === CHECK FOR TREASURY BONUS WIN ===
-function checkTreasuryBonus() {
-  const roll = Math.floor(Math.random() * TREASURY_BONUS_CHANCE) + 1;
-  return roll === 1; // 1 in 500 chance
+// Commit-reveal: a random seed is drawn when the round starts and only its
+// sha256 is published. At voting close the roll is derived from the seed plus
+// a finalized blockhash nobody knew at commit time, then the seed is revealed:
+//   roll = sha256(seed:blockhash) mod TREASURY_BONUS_CHANCE + 1, a win on 1
+function checkTreasuryBonus(seed, blockhash) {
+  const digest = crypto.createHash("sha256").update(`${seed}:${blockhash}`).digest("hex");
+  const roll = Number(BigInt(`0x${digest}`) % BigInt(TREASURY_BONUS_CHANCE)) + 1;
+  return { roll, won: roll === 1 }; // 1 in 500 chance
+}
+
+function commitBonusDraw(roundId) {
+  const seed = crypto.randomBytes(32).toString("hex");
+  const commitment = crypto.createHash("sha256").update(seed).digest("hex");
+  store.draws.commit(roundId, seed, commitment);
+  return store.draws.get(roundId).commitment;
+}
+
+// Rolls once per round; a re-run after a crash returns the stored result
+function revealBonusDraw(roundId, { seed: blockhash, slot }) {
+  if (!store.draws.get(roundId)) {
+    console.log(`⚠️ No bonus commitment for round ${roundId} - committing now`);
+    commitBonusDraw(roundId);
+  }
+
+  const draw = store.draws.get(roundId);
+  if (draw.revealed_at) return draw;
+
+  store.draws.reveal(roundId, { blockhash, slot, ...checkTreasuryBonus(draw.seed, blockhash) });
+  return store.draws.get(roundId);
+}
+
+// Recomputes a revealed draw from its public inputs
+function verifyBonusDraw(roundId) {
+  const draw = store.draws.get(roundId);
+  if (!draw) return null;
+
+  const view = {
+    round: roundId,
+    commitment: draw.commitment,
+    committedAt: new Date(draw.committed_at).toISOString(),
+    revealed: !!draw.revealed_at
+  };
+  if (!draw.revealed_at) return view;
+
+  const { roll, won } = checkTreasuryBonus(draw.seed, draw.blockhash);
+  return {
+    ...view,
+    seed: draw.seed,
+    blockhash: draw.blockhash,
+    slot: draw.slot,
+    roll,
+    won,
+    commitmentValid: crypto.createHash("sha256").update(draw.seed).digest("hex") === draw.commitment,
+    matchesAnnounced: roll === draw.roll && won === !!draw.won
+  };
 }
 
 // === CALCULATE POTENTIAL TREASURY BONUS ===
@@ -107,7 +712,8 @@ function calculateTreasuryBonus() {
 }
 
 // === GET ACTUAL TREASURY BALANCE FROM BLOCKCHAIN ===
-async function getActualTreasuryBalance() {
+// Falls back to the tracked value (or `fallback`) when the RPC call fails
+async function getActualTreasuryBalance(fallback = actualTreasuryBalance) {
   try {
     const treasuryTokenAccount = await getAssociatedTokenAddress(
       TOKEN_MINT,
@@ -121,25 +727,224 @@ async function getActualTreasuryBalance() {
     return xposureBalance;
   } catch (err) {
     console.log(`⚠️ Could not fetch treasury balance: ${err.message}`);
-    return actualTreasuryBalance; // Return current tracked value as fallback
+    return fallback; // Return current tracked value as fallback
+  }
+}
+
+// === ACCOUNTING LEDGER ===
+// Double-entry: every entry's postings sum to zero. "treasury:*" accounts are
+// XPOSURE held in the treasury token account (their sum should match the chain),
+// "out:*" accounts are what left it, and "in:*" accounts are where it came from.
+const LEDGER_ACCOUNTS = {
+  MARKET_BUYS: "in:market_buys",
+  OPENING_BALANCE: "in:opening_balance",
+  PAYMENTS: "in:payments", // SOL received from users
+  UNALLOCATED: "treasury:unallocated", // Bought, not yet split
+  ROUND_POOL: "treasury:round_pool",
+  PERMANENT: "treasury:permanent",
+  PAYABLE: "treasury:payable", // Owed to winners/voters, not yet confirmed on-chain
+  USER_SHARE: "out:user_share",
+  PRIZES: "out:prizes",
+  VOTER_REWARDS: "out:voter_rewards",
+  BONUS: "out:bonus",
+  REFUNDS: "out:refunds", // Pool contributions returned to disqualified entrants
+  TRANS_FEES: "out:trans_fees"
+};
+
+function ledgerBalance(account, asset = "XPOSURE") {
+  return store.ledger.balances(asset)[account] || 0;
+}
+
+function ledgerTreasuryTotal() {
+  const balances = store.ledger.balances("XPOSURE");
+  return Object.entries(balances)
+    .filter(([account]) => account.startsWith("treasury:"))
+    .reduce((sum, [, balance]) => sum + balance, 0);
+}
+
+// Records one balanced entry. Wrap it in store.transaction() with the state
+// change it belongs to so both are written together.
+function postLedger(memo, postings, { ref = null, asset = "XPOSURE" } = {}) {
+  const nonZero = postings.filter(p => p.amount !== 0);
+  if (!nonZero.length) return null;
+
+  const total = nonZero.reduce((sum, p) => sum + p.amount, 0);
+  if (Math.abs(total) > 1e-9) {
+    throw new Error(`Unbalanced ledger entry "${memo}": postings sum to ${total}`);
+  }
+
+  const entry = {
+    at: Date.now(),
+    asset,
+    memo,
+    ref,
+    postings: nonZero
+  };
+  entry.id = store.ledger.append(entry);
+
+  syncPoolsFromLedger();
+  return entry;
+}
+
+// Shorthand for the common two-posting entry
+function transferLedger(memo, from, to, amount, options = {}) {
+  return postLedger(memo, [
+    { account: from, amount: -amount },
+    { account: to, amount }
+  ], options);
+}
+
+function syncPoolsFromLedger() {
+  const balances = store.ledger.balances("XPOSURE");
+  treasuryXPOSURE = balances[LEDGER_ACCOUNTS.ROUND_POOL] || 0;
+  actualTreasuryBalance = balances[LEDGER_ACCOUNTS.PERMANENT] || 0;
+  transFeeCollected = store.ledger.balances("SOL")[LEDGER_ACCOUNTS.TRANS_FEES] || 0;
+}
+
+// Whatever is left in (or overdrawn from) the round pool moves to the permanent treasury
+function closeRoundPool() {
+  const remaining = ledgerBalance(LEDGER_ACCOUNTS.ROUND_POOL);
+  if (remaining !== 0) {
+    transferLedger("Round pool closed", LEDGER_ACCOUNTS.ROUND_POOL, LEDGER_ACCOUNTS.PERMANENT, remaining);
+    console.log(`📒 Round pool closed: ${remaining.toLocaleString()} XPOSURE → permanent treasury`);
+  }
+}
+
+// First run with an empty ledger: book the existing balances as opening entries
+async function openLedgerIfEmpty() {
+  if (store.ledger.count()) return;
+
+  // Totals carried over from the legacy JSON state, if it was migrated
+  const legacy = store.meta.get("legacyTotals", {});
+  const roundPool = legacy.treasuryXPOSURE || 0;
+  const permanent = legacy.actualTreasuryBalance || await getActualTreasuryBalance(0);
+  const transFees = legacy.transFeeCollected || 0;
+
+  store.transaction(() => {
+    postLedger("Opening balance", [
+      { account: LEDGER_ACCOUNTS.OPENING_BALANCE, amount: -(roundPool + permanent) },
+      { account: LEDGER_ACCOUNTS.ROUND_POOL, amount: roundPool },
+      { account: LEDGER_ACCOUNTS.PERMANENT, amount: permanent }
+    ]);
+    if (transFees > 0) {
+      transferLedger("Opening balance", LEDGER_ACCOUNTS.PAYMENTS, LEDGER_ACCOUNTS.TRANS_FEES, transFees, { asset: "SOL" });
+    }
+  });
+
+  console.log(`📒 Ledger opened: round pool ${roundPool.toLocaleString()}, permanent ${permanent.toLocaleString()} XPOSURE`);
+}
+
+// === TREASURY RECONCILIATION ===
+const RECONCILE_INTERVAL = 15 * 60 * 1000; // Every 15 minutes
+const RECONCILE_THRESHOLD = parseFloat(process.env.RECONCILE_THRESHOLD || "1000"); // XPOSURE
+const RECONCILE_THRESHOLD_PCT = parseFloat(process.env.RECONCILE_THRESHOLD_PCT || "0.5"); // % of on-chain balance
+
+async function reconcileTreasury() {
+  const onChain = await getActualTreasuryBalance(null);
+  if (onChain === null) {
+    console.log("⚠️ Reconciliation skipped - treasury balance unavailable");
+    return null;
+  }
+
+  const tracked = ledgerTreasuryTotal();
+  const difference = onChain - tracked;
+  const threshold = Math.max(RECONCILE_THRESHOLD, onChain * RECONCILE_THRESHOLD_PCT / 100);
+  const flagged = Math.abs(difference) > threshold;
+
+  const reconciliation = {
+    at: Date.now(),
+    onChain,
+    ledger: tracked,
+    difference,
+    threshold,
+    flagged,
+    accounts: Object.fromEntries(
+      Object.values(LEDGER_ACCOUNTS)
+        .filter(account => account.startsWith("treasury:"))
+        .map(account => [account, ledgerBalance(account)])
+    )
+  };
+  store.meta.set("lastReconciliation", reconciliation);
+
+  if (!flagged) {
+    console.log(`📒 Reconciled: ledger ${tracked.toLocaleString()} vs chain ${onChain.toLocaleString()} XPOSURE (diff ${difference.toLocaleString()})`);
+    return reconciliation;
+  }
+
+  console.error(`🚨 TREASURY MISMATCH: ledger ${tracked.toLocaleString()} vs chain ${onChain.toLocaleString()} XPOSURE (diff ${difference.toLocaleString()}, threshold ${threshold.toLocaleString()})`);
+  for (const adminId of ADMIN_IDS) {
+    try {
+      await bot.sendMessage(
+        adminId,
+        `🚨 Treasury Mismatch\n\n⛓️ On-chain: ${onChain.toLocaleString()} XPOSURE\n📒 Ledger: ${tracked.toLocaleString()} XPOSURE\n📉 Difference: ${difference.toLocaleString()} XPOSURE\n\nThreshold: ${threshold.toLocaleString()} XPOSURE`
+      );
+    } catch {}
   }
+  return reconciliation;
 }
 
+setInterval(() => {
+  reconcileTreasury();
+}, RECONCILE_INTERVAL);
+
 // === CLEAN UP EXPIRED PENDING PAYMENTS ===
-function cleanupExpiredPayments() {
+// A session is only expired once a last look on-chain finds no payment for its
+// reference - a transfer that lands just before the timeout is settled instead.
+let cleanupRunning = false;
+
+async function cleanupExpiredPayments() {
+  if (cleanupRunning) return;
+  cleanupRunning = true;
+  try {
+    await expireTimedOutPayments();
+  } finally {
+    cleanupRunning = false;
+  }
+}
+
+async function expireTimedOutPayments() {
   const now = Date.now();
-  const expiredPayments = pendingPayments.filter(p => {
+  const timedOut = store.payments.open().filter(p => {
+    if (isSettlementOpen(p)) return false; // Never expire a payment mid-settlement
     const createdTime = p.createdAt || cycleStartTime || now;
     return (now - createdTime) > PAYMENT_TIMEOUT;
   });
 
+  const expiredPayments = [];
+  for (const payment of timedOut) {
+    if (payment.settlement || !payment.reference) {
+      expiredPayments.push(payment);
+      continue;
+    }
+
+    try {
+      const found = await findReferencePayment(payment.reference, { connection, treasury: TREASURY });
+      if (found) {
+        console.log(`👀 Payment found for expiring session ${payment.reference.substring(0, 8)}... - settling instead`);
+        const result = await settlePayment({
+          ...found,
+          reference: payment.reference,
+          userId: payment.userId,
+          source: "cleanup"
+        });
+        if (result.body.ok || store.payments.find(payment.reference)?.confirmed) continue;
+        console.log(`⚠️ Late payment rejected (${result.body.code || result.body.error}) - expiring session`);
+      }
+      expiredPayments.push(payment);
+    } catch (err) {
+      // Can't tell whether it was paid - look again on the next run
+      console.error(`⚠️ Could not check ${payment.reference.substring(0, 8)}... before expiring: ${err.message}`);
+    }
+  }
+
   if (expiredPayments.length > 0) {
     console.log(`🧹 Cleaning up ${expiredPayments.length} expired pending payments`);
     
-    // Remove expired payments
-    pendingPayments = pendingPayments.filter(p => {
-      const createdTime = p.createdAt || cycleStartTime || now;
-      return (now - createdTime) <= PAYMENT_TIMEOUT;
+    // Take them out of the working set (rows are kept as history)
+    store.transaction(() => {
+      for (const payment of expiredPayments) {
+        store.payments.setStatus(payment.reference, payment.settlement ? "closed" : "expired");
+      }
     });
     
     // Notify users their payment expired
@@ -155,8 +960,6 @@ function cleanupExpiredPayments() {
         console.log(`⚠️ Could not notify user ${payment.userId} about expiration`);
       }
     });
-    
-    saveState();
   }
 }
 
@@ -165,12 +968,157 @@ setInterval(() => {
   cleanupExpiredPayments();
 }, 2 * 60 * 1000);
 
-// === CALCULATE VOTING TIME (Fixed 12-hour schedule) ===
-function calculateVotingTime() {
-  // Fixed 12-hour voting period
-  const votingTime = 12 * 60 * 60 * 1000; // 12 hours in milliseconds
-  console.log(`⏱️ Voting time: 12 hours (fixed schedule)`);
-  return votingTime;
+// === ROUND SCHEDULER ===
+// The scheduler owns every phase change. Transitions set phase and nextPhaseTime
+// and save the round; advancePhase() then re-arms the one phase timer from them,
+// so a restart resumes from the saved round without stacking timers.
+//
+// Phase lengths come from env. ROUND_SCHEDULE optionally pins round starts to
+// calendar slots with a 5-field cron expression in UTC
+// ("minute hour day-of-month month day-of-week", e.g. "0 0,12 * * *");
+// after a round ends, the cooldown runs until the next matching slot.
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day-of-month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day-of-week", min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`ROUND_SCHEDULE needs ${CRON_FIELDS.length} fields, got "${expression}"`);
+  }
+
+  return fields.map((field, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const allowed = new Set();
+
+    for (const part of field.split(",")) {
+      const [range, stepText] = part.split("/");
+      const step = stepText === undefined ? 1 : Number(stepText);
+      let [from, to] = range === "*" ? [min, max] : range.split("-").map(Number);
+      if (to === undefined) to = stepText === undefined ? from : max;
+
+      if (![from, to, step].every(Number.isInteger) || from < min || to > max || from > to || step < 1) {
+        throw new Error(`ROUND_SCHEDULE has an invalid ${name} field "${field}"`);
+      }
+      for (let v = from; v <= to; v += step) allowed.add(name === "day-of-week" ? v % 7 : v);
+    }
+    return allowed;
+  });
+}
+
+// First cron slot at or after `from` (UTC, minute precision); null if none within a year
+function nextCronSlot(cron, from) {
+  const [minutes, hours, days, months, weekdays] = cron;
+  const t = new Date(Math.ceil(from / 60000) * 60000);
+  const limit = from + 366 * 24 * 60 * 60 * 1000;
+
+  while (t.getTime() <= limit) {
+    if (!months.has(t.getUTCMonth() + 1) || !days.has(t.getUTCDate()) || !weekdays.has(t.getUTCDay())) {
+      t.setUTCHours(24, 0, 0, 0);
+    } else if (!hours.has(t.getUTCHours())) {
+      t.setUTCHours(t.getUTCHours() + 1, 0, 0, 0);
+    } else if (!minutes.has(t.getUTCMinutes())) {
+      t.setUTCMinutes(t.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return t.getTime();
+    }
+  }
+  return null;
+}
+
+function scheduleSetting(name, fallback) {
+  const value = Number(process.env[name] ?? fallback);
+  if (!Number.isFinite(value) || value < 0) throw new Error(`${name} must be a non-negative number`);
+  return value;
+}
+
+const SCHEDULE = {
+  submission: scheduleSetting("SUBMISSION_MINUTES", 12 * 60) * 60 * 1000,
+  voting: scheduleSetting("VOTING_MINUTES", 12 * 60) * 60 * 1000,
+  cooldown: scheduleSetting("COOLDOWN_SECONDS", 60) * 1000,
+  cron: process.env.ROUND_SCHEDULE ? parseCron(process.env.ROUND_SCHEDULE) : null
+};
+
+const PHASE_TRANSITIONS = {
+  submission: () => startVoting(),
+  voting: () => announceWinners(),
+  tallying: () => announceWinners(), // Voting closed, waiting on the draw seed
+  cooldown: () => startNewCycle()
+};
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // setTimeout overflows past ~24.8 days
+const TRANSITION_RETRY_DELAY = 60 * 1000;
+
+let phaseTimer = null;
+let phaseTransitionRunning = false;
+
+// When the next round may start: after the cooldown, on the next slot if scheduled
+function nextRoundStart(now = Date.now()) {
+  const earliest = now + SCHEDULE.cooldown;
+  return SCHEDULE.cron ? nextCronSlot(SCHEDULE.cron, earliest) ?? earliest : earliest;
+}
+
+// Arms the single phase timer for the current phase and nextPhaseTime
+function schedulePhase() {
+  clearTimeout(phaseTimer);
+  phaseTimer = null;
+  if (!PHASE_TRANSITIONS[phase]) return;
+
+  const delay = Math.max(0, (nextPhaseTime ?? 0) - Date.now());
+  phaseTimer = setTimeout(
+    () => delay > MAX_TIMER_DELAY ? schedulePhase() : advancePhase("timer"),
+    Math.min(delay, MAX_TIMER_DELAY)
+  );
+}
+
+// Runs the current phase's transition now. Only one runs at a time - a timer or
+// override arriving mid-transition is dropped instead of starting a second one.
+async function advancePhase(source) {
+  if (phaseTransitionRunning) {
+    console.log(`⏳ Phase change already running - ignoring ${source}`);
+    return false;
+  }
+
+  phaseTransitionRunning = true;
+  clearTimeout(phaseTimer);
+  const from = phase;
+  console.log(`⏭️ Advancing from ${from} (${source})`);
+
+  try {
+    await PHASE_TRANSITIONS[from]();
+  } catch (err) {
+    console.error(`❌ Phase change from ${from} failed:`, err.message);
+    nextPhaseTime = Date.now() + TRANSITION_RETRY_DELAY;
+    saveRound();
+  } finally {
+    phaseTransitionRunning = false;
+  }
+
+  schedulePhase();
+  return true;
+}
+
+// Moves the current phase deadline by `minutes` (negative to shorten)
+function extendPhase(minutes) {
+  nextPhaseTime = Math.max(Date.now(), (nextPhaseTime ?? Date.now()) + minutes * 60 * 1000);
+  saveRound();
+  if (!phaseTransitionRunning) schedulePhase();
+  return nextPhaseTime;
+}
+
+// "12h", "11h 42m", "5 minutes"
+function formatCountdown(ms) {
+  const minutes = Math.ceil(Math.max(0, ms) / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes !== 1 ? "s" : ""}`;
+  return `${Math.floor(minutes / 60)}h${minutes % 60 ? ` ${minutes % 60}m` : ""}`;
+}
+
+// Time left until the current phase ends
+function phaseTimeLeft() {
+  return formatCountdown((nextPhaseTime ?? Date.now()) - Date.now());
 }
 
 // === TIER CONFIGURATION ===
@@ -229,7 +1177,7 @@ function getWhaleMultiplier(amount) {
 }
 
 // === TRANSFER TOKENS TO RECIPIENT ===
-async function transferTokensToRecipient(tokenAmount, recipientWallet) {
+async function transferTokensToRecipient(tokenAmount, recipientWallet, onSubmitted = null) {
   try {
     console.log(`📤 Initiating token transfer...`);
     
@@ -284,6 +1232,7 @@ async function transferTokensToRecipient(tokenAmount, recipientWallet) {
     
     console.log("✍️ Signing transfer transaction...");
     const sig = await connection.sendTransaction(tx, [TREASURY_KEYPAIR]);
+    if (onSubmitted) onSubmitted(sig);
     
     console.log(`📤 Transfer sent: ${sig.substring(0, 8)}...`);
     console.log(`🔗 https://solscan.io/tx/${sig}`);
@@ -292,7 +1241,7 @@ async function transferTokensToRecipient(tokenAmount, recipientWallet) {
     
     console.log(`✅ Transfer confirmed!`);
     
-    return true;
+    return sig;
     
   } catch (err) {
     console.error(`❌ Token transfer failed: ${err.message}`);
@@ -301,523 +1250,134 @@ async function transferTokensToRecipient(tokenAmount, recipientWallet) {
   }
 }
 
-// === CHECK IF TOKEN HAS BONDED ===
-async function checkIfBonded() {
+// === SWAP VENUES ===
+// Venue adapters and the router live in lib/swap.js; they share these deps.
+const SWAP_DEPS = {
+  connection,
+  fetch,
+  treasury: TREASURY_KEYPAIR,
+  mint: TOKEN_MINT
+};
+
+const SWAP_ADAPTERS = createSwapAdapters(SWAP_DEPS);
+
+// === MARKET INTEGRATION ===
+async function buyXPOSUREOnMarket(solAmount, onSubmitted = null) {
   try {
-    console.log("🔍 Checking if XPOSURE has graduated from pump.fun...");
-    
-    const PUMP_PROGRAM = new PublicKey("6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P");
-    
-    // Derive bonding curve PDA
-    const [bondingCurve] = PublicKey.findProgramAddressSync(
-      [Buffer.from("bonding-curve"), TOKEN_MINT.toBuffer()],
-      PUMP_PROGRAM
-    );
-    
-    const accountInfo = await connection.getAccountInfo(bondingCurve);
-    
-    if (!accountInfo) {
-      console.log("✅ Token has graduated (no bonding curve account found)");
-      return true;
-    }
-    
-    // Check if account has enough data
-    if (!accountInfo.data || accountInfo.data.length < 9) {
-      console.log("✅ Token has graduated (invalid bonding curve data)");
-      return true;
-    }
-    
-    // Check if bonding curve is complete (byte at position 8)
-    const complete = accountInfo.data[8];
+    console.log(`\n🔄 ========== BUYING XPOSURE ==========`);
+    console.log(`💰 Amount: ${solAmount.toFixed(4)} SOL`);
+    console.log(`📍 Buying to treasury (will split after)`);
     
-    if (complete === 1) {
-      console.log("✅ Bonding curve complete! Token graduated to Raydium.");
-      return true;
-    }
+    const route = await routeXPOSUREBuy(solAmount, onSubmitted, { adapters: SWAP_ADAPTERS, deps: SWAP_DEPS });
     
-    // Additional check: if account exists but complete flag is 0, it's still bonding
-    console.log("📊 Token still on pump.fun bonding curve (complete flag = 0)");
-    return false;
+    console.log(`✅ Purchase complete via ${route.venue}! ${route.xposureReceived.toLocaleString()} XPOSURE now in treasury`);
+    console.log(`🔄 ===================================\n`);
+    return route;
     
   } catch (err) {
-    console.error(`⚠️ Bond check error: ${err.message}. Defaulting to graduated (safer)...`);
-    return true; // Default to graduated if check fails
+    console.error(`❌ Market buy failed: ${err.message}`);
+    console.error(err.stack);
+    throw err;
   }
 }
 
-// === PUMP.FUN BUY (Using PumpPortal API) ===
-// Documentation: https://pumpportal.fun/api/trade-local
-async function buyOnPumpFun(solAmount) {
+// === STATE PERSISTENCE ===
+// One-time import of the old submissions.json into SQLite. The file is kept,
+// renamed to .migrated, so the import never runs twice.
+function migrateLegacyState() {
+  if (!fs.existsSync(LEGACY_SAVE_FILE)) return;
+
+  let d;
   try {
-    console.log(`🚀 Starting pump.fun buy with PumpPortal API: ${solAmount.toFixed(4)} SOL`);
-    console.log(`📍 Buying to treasury, will split XPOSURE after...`);
-    
-    // Get treasury balance BEFORE purchase for accurate tracking
-    const treasuryTokenAccount = await getAssociatedTokenAddress(
-      TOKEN_MINT,
-      TREASURY_KEYPAIR.publicKey
-    );
-    
-    let balanceBefore = 0;
-    try {
-      const beforeBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-      balanceBefore = Math.floor(parseFloat(beforeBalance.value.uiAmount || 0));
-      console.log(`💰 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} XPOSURE`);
-    } catch (e) {
-      console.log(`💰 Treasury balance BEFORE: 0 XPOSURE (account doesn't exist yet)`);
-      balanceBefore = 0;
+    d = JSON.parse(fs.readFileSync(LEGACY_SAVE_FILE));
+  } catch (err) {
+    console.error(`⚠️ Legacy state unreadable, not migrated: ${err.message}`);
+    return;
+  }
+
+  const roundId = d.cycleStartTime || Date.now();
+
+  store.transaction(() => {
+    if (!store.rounds.get(roundId)) {
+      store.rounds.start(roundId, d.phase || "submission", d.nextPhaseTime || null, "one");
     }
-    
-    // Get transaction from PumpPortal
-    console.log("📊 Getting PumpPortal transaction...");
-    const quoteResponse = await fetch(`https://pumpportal.fun/api/trade-local`, {
-      method: "POST",
-      headers: { 
-        "Content-Type": "application/json"
-      },
-      body: JSON.stringify({
-        publicKey: TREASURY_KEYPAIR.publicKey.toBase58(),
-        action: "buy",
-        mint: TOKEN_MINT.toBase58(),
-        denominatedInSol: "true",
-        amount: solAmount,
-        slippage: 10,
-        priorityFee: 0.0001,
-        pool: "auto"  // Auto-detect pump.fun or Raydium
-      })
-    });
-    
-    if (!quoteResponse.ok) {
-      const errorText = await quoteResponse.text();
-      throw new Error(`PumpPortal request failed: ${quoteResponse.status} - ${errorText}`);
+
+    for (const p of d.participants || []) {
+      store.entries.save(roundId, p);
+      for (const voterId of p.voters || []) {
+        store.votes.record(roundId, String(voterId), String(p.userId));
+      }
     }
-    
-    // PumpPortal returns raw binary transaction data (not base64!)
-    const txData = await quoteResponse.arrayBuffer();
-    console.log(`✅ Got transaction data (${txData.byteLength} bytes)`);
-    
-    // Deserialize and sign transaction
-    console.log("🔓 Deserializing transaction...");
-    const tx = VersionedTransaction.deserialize(new Uint8Array(txData));
-    tx.sign([TREASURY_KEYPAIR]);
-    
-    // Send transaction
-    console.log("📤 Sending buy transaction...");
-    const sig = await connection.sendRawTransaction(tx.serialize(), {
-      skipPreflight: false,
-      preflightCommitment: 'confirmed',
-      maxRetries: 3
-    });
-    
-    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
-    console.log(`🔗 https://solscan.io/tx/${sig}`);
-    console.log("⏳ Confirming transaction...");
-    
-    await connection.confirmTransaction(sig, "confirmed");
-    
-    console.log(`✅ Pump.fun buy complete!`);
-    
-    // Get balance AFTER purchase
-    await new Promise(r => setTimeout(r, 3000));
-    
-    const afterBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-    const balanceAfter = Math.floor(parseFloat(afterBalance.value.uiAmount || 0));
-    
-    const xposureReceived = balanceAfter - balanceBefore;
-    console.log(`🪙 Treasury received ${xposureReceived.toLocaleString()} XPOSURE`);
-    console.log(`📊 Treasury total balance: ${balanceAfter.toLocaleString()} XPOSURE`);
-    
-    return xposureReceived;
-    
-  } catch (err) {
-    console.error(`❌ Pump.fun buy failed: ${err.message}`);
-    console.error(err.stack);
-    throw err;
-  }
-}
-
-// === PUMPSWAP BUY (for graduated tokens) ===
-async function buyOnPumpSwap(solAmount) {
-  try {
-    console.log(`🎓 Starting PumpSwap buy: ${solAmount.toFixed(4)} SOL → XPOSURE`);
-    console.log(`📍 Token graduated - using pumpapi.fun...`);
-    
-    // Create HTTPS agent that bypasses self-signed certificate
-    const httpsAgent = new https.Agent({  
-      rejectUnauthorized: false
-    });
-    
-    // Get treasury balance BEFORE purchase
-    const treasuryTokenAccount = await getAssociatedTokenAddress(
-      TOKEN_MINT,
-      TREASURY_KEYPAIR.publicKey
-    );
-    
-    let balanceBefore = 0;
-    try {
-      const beforeBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-      balanceBefore = Math.floor(parseFloat(beforeBalance.value.uiAmount || 0));
-      console.log(`💰 Treasury balance before: ${balanceBefore.toLocaleString()} XPOSURE`);
-    } catch (e) {
-      console.log(`💰 Treasury balance before: 0 XPOSURE (account doesn't exist yet)`);
-      balanceBefore = 0;
-    }
-    
-    // Step 1: Get quote from PumpSwap
-    console.log("📊 Getting PumpSwap quote...");
-    const quoteResponse = await fetch('https://pumpapi.fun/api/trade', {
-      method: 'POST',
-      headers: { 
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        action: 'buy',
-        mint: TOKEN_MINT.toBase58(),
-        amount: solAmount,
-        denominatedInSol: 'true',
-        slippage: 10,
-        priorityFee: 0.0005,
-        publicKey: TREASURY_KEYPAIR.publicKey.toBase58()
-      }),
-      agent: httpsAgent
-    });
-
-    if (!quoteResponse.ok) {
-      const errorText = await quoteResponse.text();
-      throw new Error(`PumpSwap quote failed: ${quoteResponse.status} - ${errorText}`);
-    }
-
-    const quoteData = await quoteResponse.json();
-    
-    if (!quoteData.success || !quoteData.transaction) {
-      throw new Error(`PumpSwap quote failed: ${quoteData.error || 'No transaction returned'}`);
+    for (const v of d.voters || []) {
+      store.voters.save(roundId, v);
     }
 
-    console.log(`✅ PumpSwap quote received`);
-    
-    // Step 2: Deserialize, sign & send transaction
-    console.log("🔓 Deserializing transaction...");
-    const txData = Buffer.from(quoteData.transaction, 'base64');
-    const tx = VersionedTransaction.deserialize(txData);
-    tx.sign([TREASURY_KEYPAIR]);
-
-    console.log("📤 Sending swap transaction...");
-    const sig = await connection.sendRawTransaction(tx.serialize(), {
-      skipPreflight: false,
-      preflightCommitment: 'confirmed',
-      maxRetries: 3
-    });
-    
-    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
-    console.log(`🔗 https://solscan.io/tx/${sig}`);
-    console.log("⏳ Confirming transaction...");
-    
-    await connection.confirmTransaction(sig, 'confirmed');
-    
-    console.log(`✅ PumpSwap buy complete!`);
-    
-    // Get balance AFTER purchase
-    await new Promise(r => setTimeout(r, 3000)); // Wait for balance update
-    const afterBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-    const balanceAfter = Math.floor(parseFloat(afterBalance.value.uiAmount || 0));
-    
-    const xposureReceived = balanceAfter - balanceBefore;
-    console.log(`🪙 Treasury received ${xposureReceived.toLocaleString()} XPOSURE`);
-    
-    return xposureReceived;
-    
-  } catch (err) {
-    console.error(`❌ PumpSwap buy failed: ${err.message}`);
-    console.error(err.stack);
-    throw err;
-  }
-}
-
-// === JUPITER SWAP ===
-async function buyOnJupiter(solAmount) {
-  try {
-    console.log(`🪐 Starting Jupiter swap: ${solAmount.toFixed(4)} SOL → XPOSURE`);
-    console.log(`📍 Buying to treasury, will split XPOSURE after...`);
-    
-    const lamports = Math.floor(solAmount * 1e9);
-    
-    // Get treasury's token account (where tokens will go)
-    const treasuryTokenAccount = await getAssociatedTokenAddress(
-      TOKEN_MINT,
-      TREASURY_KEYPAIR.publicKey
-    );
-    
-    console.log(`📍 Treasury token account: ${treasuryTokenAccount.toBase58().substring(0, 8)}...`);
-    
-    // Get quote from Jupiter
-    console.log("📊 Getting Jupiter quote...");
-    const quoteResponse = await fetch(
-      `https://quote-api.jup.ag/v6/quote?inputMint=So11111111111111111111111111111111111111112&outputMint=${TOKEN_MINT.toBase58()}&amount=${lamports}&slippageBps=500`
-    );
-    
-    if (!quoteResponse.ok) {
-      throw new Error(`Jupiter quote request failed: ${quoteResponse.status} ${quoteResponse.statusText}`);
+    // cycleStartTime isn't loaded yet - the sessions belong to the legacy round
+    for (const payment of d.pendingPayments || []) {
+      store.payments.save(payment, "open", roundId);
     }
-    
-    const quoteData = await quoteResponse.json();
-    
-    if (!quoteData || quoteData.error) {
-      throw new Error(`Quote failed: ${quoteData?.error || 'Unknown error'}`);
+    for (const item of d.payoutQueue || []) {
+      store.payouts.save(item);
     }
-    
-    // Jupiter returns raw amount - convert to XPOSURE
-    const rawOutAmount = parseInt(quoteData.outAmount);
-    const outAmount = Math.floor(rawOutAmount / 1_000_000); // Convert to XPOSURE (6 decimals)
-    console.log(`💎 Quote received: ${outAmount.toLocaleString()} XPOSURE`);
-    
-    // Get swap transaction (to treasury's token account)
-    console.log("🔨 Building swap transaction...");
-    const swapResponse = await fetch('https://quote-api.jup.ag/v6/swap', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        quoteResponse: quoteData,
-        userPublicKey: TREASURY_KEYPAIR.publicKey.toBase58(),
-        destinationTokenAccount: treasuryTokenAccount.toBase58(),
-        wrapAndUnwrapSol: true,
-        dynamicComputeUnitLimit: true,
-        prioritizationFeeLamports: {
-          priorityLevelWithMaxLamports: {
-            maxLamports: 100000,
-            priorityLevel: "high"
-          }
-        }
-      })
-    });
-    
-    if (!swapResponse.ok) {
-      throw new Error(`Jupiter swap request failed: ${swapResponse.status} ${swapResponse.statusText}`);
+    for (const record of d.refundLedger || []) {
+      store.refunds.save(record);
     }
-    
-    const swapData = await swapResponse.json();
-    
-    if (!swapData.swapTransaction) {
-      throw new Error('No swap transaction returned from Jupiter');
+    for (const entry of d.ledgerEntries || []) {
+      store.ledger.append(entry);
     }
-    
-    console.log("✍️ Signing and sending transaction...");
-    
-    // Deserialize and sign
-    const swapTransactionBuf = Buffer.from(swapData.swapTransaction, 'base64');
-    const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
-    transaction.sign([TREASURY_KEYPAIR]);
-    
-    const rawTransaction = transaction.serialize();
-    const sig = await connection.sendRawTransaction(rawTransaction, {
-      skipPreflight: false,
-      preflightCommitment: 'confirmed',
-      maxRetries: 3
+
+    if (d.lastReconciliation) store.meta.set("lastReconciliation", d.lastReconciliation);
+    // Booked as the opening ledger entry when the old file predates the ledger
+    store.meta.set("legacyTotals", {
+      treasuryXPOSURE: d.treasuryXPOSURE || 0,
+      actualTreasuryBalance: d.actualTreasuryBalance || 0,
+      transFeeCollected: d.transFeeCollected || 0
     });
-    
-    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
-    console.log(`🔗 https://solscan.io/tx/${sig}`);
-    console.log("⏳ Confirming transaction...");
-    
-    await connection.confirmTransaction(sig, 'confirmed');
-    
-    console.log(`✅ Jupiter swap complete!`);
-    console.log(`🪙 Treasury received ${outAmount.toLocaleString()} XPOSURE tokens (will split next)`);
-    
-    return outAmount;
-    
-  } catch (err) {
-    console.error(`❌ Jupiter swap failed: ${err.message}`);
-    console.error(err.stack);
-    throw err;
-  }
+  });
+
+  fs.renameSync(LEGACY_SAVE_FILE, `${LEGACY_SAVE_FILE}.migrated`);
+  console.log(`📦 Migrated ${LEGACY_SAVE_FILE} → ${DB_FILE} (${(d.participants || []).length} entries, ${(d.pendingPayments || []).length} payments)`);
 }
 
-// === DIRECT BONDING CURVE BUY (Like sniper bots do) ===
-async function buyDirectFromBondingCurve(solAmount) {
+function loadState() {
   try {
-    console.log(`🎯 Direct bonding curve buy: ${solAmount.toFixed(4)} SOL`);
-    
-    const PUMP_PROGRAM = new PublicKey("6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P");
-    const SYSTEM_PROGRAM = SystemProgram.programId;
-    const RENT_PROGRAM = new PublicKey("SysvarRent111111111111111111111111111111111");
-    const EVENT_AUTHORITY = new PublicKey("Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1");
-    const FEE_RECIPIENT = new PublicKey("CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM");
-    
-    // Get treasury balance BEFORE
-    let balanceBefore = 0;
-    try {
-      const treasuryTokenAccount = await getAssociatedTokenAddress(TOKEN_MINT, TREASURY_KEYPAIR.publicKey);
-      const beforeBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-      balanceBefore = Math.floor(parseFloat(beforeBalance.value.uiAmount || 0));
-      console.log(`💰 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} XPOSURE`);
-    } catch (e) {
-      console.log(`💰 Treasury balance BEFORE: 0 XPOSURE`);
-    }
-    
-    // Derive PDAs
-    const [bondingCurve] = PublicKey.findProgramAddressSync(
-      [Buffer.from("bonding-curve"), TOKEN_MINT.toBuffer()],
-      PUMP_PROGRAM
-    );
-    
-    const [associatedBondingCurve] = PublicKey.findProgramAddressSync(
-      [bondingCurve.toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), TOKEN_MINT.toBuffer()],
-      new PublicKey("ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL")
-    );
-    
-    // Get user's token account
-    const userTokenAccount = await getAssociatedTokenAddress(TOKEN_MINT, TREASURY_KEYPAIR.publicKey);
-    
-    // Build instruction data: [6, 226, 115, 104, 131, 133, 11, 54] is the discriminator for "buy"
-    const instructionData = Buffer.alloc(24);
-    instructionData.set([6, 226, 115, 104, 131, 133, 11, 54], 0); // buy discriminator
-    instructionData.writeBigUInt64LE(BigInt(Math.floor(solAmount * 1e9)), 8); // amount in lamports
-    instructionData.writeBigUInt64LE(BigInt(0), 16); // max SOL cost (0 = no limit)
-    
-    // Build transaction
-    const tx = new Transaction();
-    
-    // Add compute budget
-    tx.add(
-      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 100000 }),
-      ComputeBudgetProgram.setComputeUnitLimit({ units: 200000 })
-    );
-    
-    // Check if user token account exists
-    const userATA = await connection.getAccountInfo(userTokenAccount);
-    if (!userATA) {
-      console.log("📝 Creating user token account...");
-      tx.add(
-        createAssociatedTokenAccountInstruction(
-          TREASURY_KEYPAIR.publicKey,
-          userTokenAccount,
-          TREASURY_KEYPAIR.publicKey,
-          TOKEN_MINT
-        )
-      );
+    migrateLegacyState();
+
+    const round = store.rounds.current();
+    if (round && !round.closed_at) {
+      phase = round.phase;
+      cycleStartTime = round.id;
+      nextPhaseTime = round.next_phase_time;
+    } else if (round) {
+      phase = "cooldown"; // Last round finished - the next starts when its cooldown ends
+      nextPhaseTime = round.next_phase_time;
     }
-    
-    // Add buy instruction
-    tx.add({
-      programId: PUMP_PROGRAM,
-      keys: [
-        { pubkey: new PublicKey("4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf"), isSigner: false, isWritable: false }, // global
-        { pubkey: FEE_RECIPIENT, isSigner: false, isWritable: true }, // feeRecipient  
-        { pubkey: TOKEN_MINT, isSigner: false, isWritable: false }, // mint
-        { pubkey: bondingCurve, isSigner: false, isWritable: true }, // bondingCurve
-        { pubkey: associatedBondingCurve, isSigner: false, isWritable: true }, // associatedBondingCurve
-        { pubkey: userTokenAccount, isSigner: false, isWritable: true }, // associatedUser
-        { pubkey: TREASURY_KEYPAIR.publicKey, isSigner: true, isWritable: true }, // user
-        { pubkey: SYSTEM_PROGRAM, isSigner: false, isWritable: false }, // systemProgram
-        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }, // tokenProgram
-        { pubkey: RENT_PROGRAM, isSigner: false, isWritable: false }, // rent
-        { pubkey: EVENT_AUTHORITY, isSigner: false, isWritable: false }, // eventAuthority
-        { pubkey: PUMP_PROGRAM, isSigner: false, isWritable: false } // program
-      ],
-      data: instructionData
-    });
-    
-    // Send transaction
-    tx.feePayer = TREASURY_KEYPAIR.publicKey;
-    tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
-    
-    console.log("✍️ Signing transaction...");
-    const sig = await connection.sendTransaction(tx, [TREASURY_KEYPAIR], {
-      skipPreflight: false,
-      preflightCommitment: 'confirmed',
-      maxRetries: 3
-    });
-    
-    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
-    console.log(`🔗 https://solscan.io/tx/${sig}`);
-    
-    await connection.confirmTransaction(sig, "confirmed");
-    console.log(`✅ Bonding curve buy complete!`);
-    
-    // Get balance AFTER
-    await new Promise(r => setTimeout(r, 2000));
-    const treasuryTokenAccount = await getAssociatedTokenAddress(TOKEN_MINT, TREASURY_KEYPAIR.publicKey);
-    const afterBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-    const balanceAfter = Math.floor(parseFloat(afterBalance.value.uiAmount || 0));
-    
-    const tokensReceived = balanceAfter - balanceBefore;
-    console.log(`🪙 Received ${tokensReceived.toLocaleString()} XPOSURE tokens`);
-    
-    return tokensReceived;
-    
-  } catch (err) {
-    console.error(`❌ Direct bonding curve buy failed: ${err.message}`);
-    console.error(err.stack);
-    throw err;
+    syncPoolsFromLedger();
+    console.log(`📂 State restored — ${roundEntries().length} participants, phase: ${phase}, Treasury: ${actualTreasuryBalance.toLocaleString()} XPOSURE`);
+  } catch (e) {
+    console.error("⚠️ Failed to load:", e.message);
+    return;
   }
-}
 
-// === MARKET INTEGRATION (Uses PumpPortal API with auto pool detection) ===
-async function buyXPOSUREOnMarket(solAmount) {
-  try {
-    console.log(`\n🔄 ========== BUYING XPOSURE ==========`);
-    console.log(`💰 Amount: ${solAmount.toFixed(4)} SOL`);
-    console.log(`📍 Buying to treasury (will split after)`);
-    
-    let xposureAmount;
-    
-    // Use PumpPortal API with auto pool detection (handles pump.fun AND graduated tokens)
-    console.log("🚀 Using PumpPortal API with auto pool detection...");
-    xposureAmount = await buyOnPumpFun(solAmount);
-    
-    console.log(`✅ Purchase complete! ${xposureAmount.toLocaleString()} XPOSURE now in treasury`);
-    console.log(`🔄 ===================================\n`);
-    return xposureAmount;
-    
-  } catch (err) {
-    console.error(`❌ Market buy failed: ${err.message}`);
-    console.error(err.stack);
-    throw err;
-  }
+  resumeSettlements();
 }
 
-// === STATE PERSISTENCE ===
-const SAVE_FILE = fs.existsSync("/data")
-  ? "/data/submissions.json"
-  : "./submissions.json";
-
-function saveState() {
-  try {
-    fs.writeFileSync(
-      SAVE_FILE,
-      JSON.stringify({
-        participants,
-        voters,
-        phase,
-        cycleStartTime,
-        nextPhaseTime,
-        treasuryXPOSURE,
-        actualTreasuryBalance,
-        transFeeCollected,
-        pendingPayments
-      }, null, 2)
-    );
-  } catch (err) {
-    console.error("⚠️ Failed to save state:", err.message);
-  }
-}
+// === RESUME INTERRUPTED SETTLEMENTS ===
+async function resumeSettlements() {
+  const open = store.payments.open().filter(isSettlementOpen);
+  if (!open.length) return;
 
-function loadState() {
-  if (!fs.existsSync(SAVE_FILE)) return;
-  try {
-    const d = JSON.parse(fs.readFileSync(SAVE_FILE));
-    participants = d.participants || [];
-    voters = d.voters || [];
-    phase = d.phase || "submission";
-    cycleStartTime = d.cycleStartTime || null;
-    nextPhaseTime = d.nextPhaseTime || null;
-    treasuryXPOSURE = d.treasuryXPOSURE || 0;
-    actualTreasuryBalance = d.actualTreasuryBalance || 0;
-    transFeeCollected = d.transFeeCollected || 0;
-    pendingPayments = d.pendingPayments || [];
-    console.log(`📂 State restored — ${participants.length} participants, phase: ${phase}, Treasury: ${actualTreasuryBalance.toLocaleString()} XPOSURE`);
-  } catch (e) {
-    console.error("⚠️ Failed to load:", e.message);
+  console.log(`🔁 Resuming ${open.length} interrupted settlement(s)...`);
+  for (const payment of open) {
+    console.log(`🔁 ${payment.reference.substring(0, 8)}... left in state: ${payment.settlement.state}`);
+    try {
+      const result = await resumeSettlement(payment);
+      if (!result.body.ok) {
+        console.log(`⚠️ Resumed settlement stopped: ${result.body.error}`);
+      }
+    } catch (err) {
+      console.error(`❌ Resume failed for ${payment.reference.substring(0, 8)}...: ${err.message}`);
+    }
   }
 }
 
@@ -827,8 +1387,23 @@ const app = express();
 // Trust proxy - REQUIRED for Render.com to get real IP addresses
 app.set('trust proxy', 1);
 
-app.use(cors());
-app.use(express.json({ limit: '10kb' })); // Limit request size
+// Browsers may only call the API from CORS_ORIGINS (comma-separated), apart
+// from the Solana Pay endpoints;
+// server-to-server calls send no Origin and are unaffected
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map(o => o.trim())
+  .filter(Boolean);
+
+app.use(cors((req, cb) => {
+  const origin = req.get("origin");
+  // Solana Pay transaction requests are fetched by wallets from any origin
+  cb(null, { origin: !origin || CORS_ORIGINS.includes(origin) || req.path.startsWith("/pay/tx/") });
+}));
+app.use(express.json({
+  limit: '10kb', // Limit request size
+  verify: (req, _, buf) => { req.rawBody = buf.toString(); } // Kept for request signatures
+}));
 const PORT = process.env.PORT || 10000;
 
 // === RATE LIMITING ===
@@ -849,14 +1424,16 @@ const generalLimiter = rateLimit({
 });
 
 app.get("/", generalLimiter, async (_, res) => {
-  const uploaders = participants.filter(p => p.choice === "upload" && p.paid).length;
-  const voteOnly = voters.length;
+  const uploaders = competingEntries().length;
+  const voteOnly = roundVoters().length;
   const bonusPercentage = getTreasuryBonusPercentage();
+  const reconciliation = store.meta.get("lastReconciliation");
   
   res.json({
     status: "✅ Xposure Buy XPOSURE System Live",
     mode: "webhook",
     phase,
+    nextPhaseAt: nextPhaseTime && new Date(nextPhaseTime).toISOString(),
     uploaders,
     voteOnly,
     roundPrizePool: treasuryXPOSURE.toLocaleString() + " XPOSURE",
@@ -864,132 +1441,887 @@ app.get("/", generalLimiter, async (_, res) => {
     bonusPrize: `${calculateTreasuryBonus().toLocaleString()} XPOSURE (${(bonusPercentage * 100).toFixed(0)}%)`,
     bonusChance: `1 in ${TREASURY_BONUS_CHANCE}`,
     transFees: transFeeCollected.toFixed(4) + " SOL",
+    reconciliation: reconciliation && {
+      at: new Date(reconciliation.at).toISOString(),
+      flagged: reconciliation.flagged,
+      difference: reconciliation.difference
+    },
     uptime: process.uptime()
   });
 });
 
-app.post(`/webhook/${token}`, generalLimiter, (req, res) => {
-  bot.processUpdate(req.body);
-  res.sendStatus(200);
+// === LEADERBOARD & PROFILE API ===
+app.get("/leaderboard", generalLimiter, (req, res) => {
+  const sort = LEADERBOARD_SORTS[req.query.sort] ? req.query.sort : "wins";
+  const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+
+  res.json({
+    sort,
+    leaderboard: getLeaderboard({ sort, limit }).map((s, i) => ({ rank: i + 1, ...profileView(s) }))
+  });
 });
 
-// === PAYMENT CONFIRMATION ===
-app.post("/confirm-payment", paymentLimiter, async (req, res) => {
-  console.log("\n==============================================");
-  console.log("🔔 /confirm-payment ENDPOINT HIT!");
-  console.log("📦 Request body:", JSON.stringify(req.body, null, 2));
-  console.log("==============================================\n");
-  
-  try {
-    const { signature, reference, userId, amount, senderWallet } = req.body;
-    
-    // === VALIDATION ===
-    console.log("🔍 Validating parameters...");
-    if (!userId || !reference || !senderWallet) {
-      console.log("❌ MISSING PARAMETERS!");
-      console.warn("⚠️ Missing params:", req.body);
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-    
-    // Validate amount is reasonable
-    const amountNum = parseFloat(amount);
-    if (isNaN(amountNum) || amountNum < 0.001 || amountNum > 100) {
-      console.log("❌ INVALID AMOUNT:", amount);
-      return res.status(400).json({ error: "Invalid amount (must be 0.001-100 SOL)" });
-    }
-    
-    // Validate wallet address
-    try {
-      new PublicKey(senderWallet);
-    } catch (e) {
-      console.log("❌ INVALID WALLET:", senderWallet);
-      return res.status(400).json({ error: "Invalid wallet address" });
-    }
-    
-    console.log("✅ Parameters validated!");
+app.get("/profiles/:user", generalLimiter, (req, res) => {
+  const profile = getProfile({ user: req.params.user });
+  if (!profile) {
+    return res.status(404).json({ error: "Profile not found", code: "PROFILE_NOT_FOUND" });
+  }
+  res.json(profileView(profile));
+});
 
-    const userKey = String(userId);
-    
-    console.log(`\n💳 ========== PAYMENT RECEIVED ==========`);
-    console.log(`💰 Amount: ${amountNum} SOL`);
-    console.log(`👤 User: ${userKey}`);
-    console.log(`👛 Wallet: ${senderWallet.substring(0, 8)}...`);
-    console.log(`📝 Reference: ${reference.substring(0, 8)}...`);
-    console.log(`=====================================\n`);
-
-    // Check for duplicates
-    let existing = pendingPayments.find((p) => p.reference === reference);
-    if (existing && existing.confirmed) {
-      console.log("⚠️ Payment already processed - returning success");
-      return res.json({ ok: true, message: "Already processed" });
-    }
-
-    if (existing) {
-      existing.confirmed = true;
-    } else {
-      pendingPayments.push({
-        userId: userKey,
-        reference,
-        confirmed: true,
-      });
-    }
+// === ROUND HISTORY API ===
+app.get("/rounds", generalLimiter, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const before = parseInt(req.query.before) || undefined;
+  const rounds = listRounds({ limit, before });
 
-    // === PAYMENT SPLIT ===
-    console.log("💰 Calculating payment split...");
-    const transFee = amountNum * 0.10;
-    const remainingSOL = amountNum * 0.90;
-    
-    const tier = getTier(amountNum);
-    let retention = tier.retention;
-    let multiplier = tier.multiplier;
-    
-    if (tier === TIERS.WHALE) {
-      retention = getWhaleRetention(amountNum);
-      multiplier = getWhaleMultiplier(amountNum);
-    }
-    
-    console.log(`\n💰 ========== PAYMENT SPLIT ==========`);
-    console.log(`🏦 Trans Fee (10%): ${transFee.toFixed(4)} SOL → Fee wallet`);
-    console.log(`💎 Buy XPOSURE with: ${remainingSOL.toFixed(4)} SOL`);
-    console.log(`📊 Then split XPOSURE tokens:`);
-    console.log(`   👤 User gets: ${(retention * 100).toFixed(0)}% of XPOSURE`);
-    console.log(`   🏆 Competition pool: ${((1 - retention) * 100).toFixed(0)}% of XPOSURE`);
-    console.log(`${tier.badge} Tier: ${tier.name} | ${multiplier}x multiplier`);
-    console.log(`=====================================\n`);
-
-    // === SEND TRANS FEE ===
-    console.log("💸 Sending trans fee...");
+  res.json({
+    rounds,
+    next: rounds.length === limit ? rounds[rounds.length - 1].id : null // Pass as ?before= for the next page
+  });
+});
+
+app.get("/rounds/:id", generalLimiter, (req, res) => {
+  const record = getRoundRecord(Number(req.params.id));
+  if (!record) {
+    return res.status(404).json({ error: "Round not found", code: "ROUND_NOT_FOUND" });
+  }
+  res.json(record);
+});
+
+// === ADMIN API ===
+// Operator endpoints for the internal dashboard under /admin. Callers
+// authenticate with either:
+//   Authorization: Bearer <token>         - one of ADMIN_API_TOKENS (comma-separated)
+//   X-Timestamp + X-Signature: sha256=<hex> - HMAC-SHA256 with ADMIN_API_SECRET over
+//                                           `${timestamp}.${METHOD}.${originalUrl}.${rawBody}`
+// Timestamps are epoch milliseconds and must be within 5 minutes of server time.
+// Every write is recorded in the admin audit log next to the /admin bot commands.
+const ADMIN_API_TOKENS = (process.env.ADMIN_API_TOKENS || "")
+  .split(",")
+  .map(t => t.trim())
+  .filter(Boolean);
+const ADMIN_API_SECRET = process.env.ADMIN_API_SECRET || null;
+const ADMIN_API_MAX_SKEW = 5 * 60 * 1000;
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Audit name of the caller, or null when the request isn't authenticated
+function authenticateAdminRequest(req) {
+  const auth = req.get("authorization") || "";
+  if (auth.startsWith("Bearer ")) {
+    const presented = auth.slice(7).trim();
+    const match = ADMIN_API_TOKENS.find(t => safeEqual(t, presented));
+    // Tokens are logged by fingerprint only
+    return match ? `api:${crypto.createHash("sha256").update(match).digest("hex").slice(0, 8)}` : null;
+  }
+
+  const signature = req.get("x-signature");
+  const timestamp = Number(req.get("x-timestamp"));
+  if (!ADMIN_API_SECRET || !signature || !timestamp) return null;
+  if (Math.abs(Date.now() - timestamp) > ADMIN_API_MAX_SKEW) return null;
+
+  const expected = crypto.createHmac("sha256", ADMIN_API_SECRET)
+    .update(`${timestamp}.${req.method}.${req.originalUrl}.${req.rawBody || ""}`)
+    .digest("hex");
+  return safeEqual(signature.replace(/^sha256=/, ""), expected) ? "api:hmac" : null;
+}
+
+function requireAdminAuth(req, res, next) {
+  if (!ADMIN_API_TOKENS.length && !ADMIN_API_SECRET) {
+    return res.status(503).json({ error: "Admin API is not configured", code: "ADMIN_API_DISABLED" });
+  }
+
+  const caller = authenticateAdminRequest(req);
+  if (!caller) {
+    console.log(`🚫 Rejected admin API call: ${req.method} ${req.originalUrl}`);
+    return res.status(401).json({ error: "Unauthorized", code: "UNAUTHORIZED" });
+  }
+
+  req.adminCaller = caller;
+  next();
+}
+
+// Express 4 doesn't catch rejected handlers
+function adminRoute(handler) {
+  return async (req, res) => {
     try {
-      await sendSOLPayout(TRANS_FEE_WALLET.toBase58(), transFee, "Trans fee");
-      transFeeCollected += transFee;
-      console.log("✅ Trans fee sent successfully");
+      await handler(req, res);
     } catch (err) {
-      console.error(`❌ Trans fee failed: ${err.message}`);
+      console.error(`💥 Admin API error (${req.method} ${req.originalUrl}): ${err.message}`);
+      res.status(500).json({ error: "Internal error" });
     }
+  };
+}
 
-    // === BUY XPOSURE WITH ALL REMAINING SOL ===
-    let totalXPOSURE = 0;
-    console.log("\n🪙 Starting XPOSURE purchase with ALL remaining SOL...");
-    
-    // Get treasury balance BEFORE purchase
-    let balanceBefore = 0;
-    try {
-      const treasuryTokenAccount = await getAssociatedTokenAddress(
-        TOKEN_MINT,
-        TREASURY_KEYPAIR.publicKey
-      );
-      const beforeBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
-      balanceBefore = Math.floor(parseFloat(beforeBalance.value.uiAmount || 0));
-      console.log(`📊 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} XPOSURE`);
-    } catch (e) {
-      console.log(`📊 Treasury balance BEFORE: 0 XPOSURE (account doesn't exist yet)`);
-      balanceBefore = 0;
-    }
-    
-    try {
-      await buyXPOSUREOnMarket(remainingSOL); // Execute purchase
-      
-      // Get treasury balance AFTER purchase
+function auditAdminApi(req, action, args, result) {
+  store.audit.append({
+    adminId: req.adminCaller,
+    action: `api:${action}`,
+    args,
+    ok: !result.error,
+    detail: result.detail || null,
+    error: result.error || null
+  });
+  console.log(`🛡️ Admin ${req.adminCaller}: ${action} ${args} → ${result.error ? `failed: ${result.error}` : "ok"}`);
+}
+
+function paymentView(payment) {
+  return {
+    ...payment,
+    status: store.payments.status(payment.reference),
+    settling: settlementsInFlight.has(payment.reference)
+  };
+}
+
+const CSV_COLUMNS = ["rank", "position", "userId", "user", "title", "tier", "multiplier", "votes", "stake", "reachedAt", "prize", "disqualified"];
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Everything recorded for a round, Telegram IDs and wallets included
+function exportRound(id) {
+  const round = store.rounds.get(id);
+  if (!round) return null;
+
+  const results = store.rounds.results(id);
+  return {
+    round,
+    results,
+    entries: results ? results.entries : store.entries.list(id),
+    registrations: store.entries.list(id),
+    voters: store.voters.list(id),
+    votes: store.votes.list(id),
+    payouts: store.payouts.listByRound(id),
+    bonusDraw: verifyBonusDraw(id)
+  };
+}
+
+const adminApi = express.Router();
+adminApi.use(generalLimiter, requireAdminAuth);
+
+adminApi.get("/payments", (req, res) => {
+  const payments = store.payments.open().map(paymentView);
+  res.json({ count: payments.length, payments });
+});
+
+adminApi.get("/payments/:reference", (req, res) => {
+  const payment = store.payments.find(req.params.reference);
+  if (!payment) {
+    return res.status(404).json({ error: "Payment not found", code: "PAYMENT_NOT_FOUND" });
+  }
+
+  res.json({
+    payment: paymentView(payment),
+    registration: store.entries.findByReference(payment.reference) || store.voters.findByReference(payment.reference)
+  });
+});
+
+// Resumes a stalled settlement now, or looks the reference up on-chain and
+// settles it when the confirmation never arrived
+adminApi.post("/payments/:reference/settle", adminRoute(async (req, res) => {
+  const { reference } = req.params;
+  const payment = store.payments.find(reference);
+  if (!payment) {
+    return res.status(404).json({ error: "Payment not found", code: "PAYMENT_NOT_FOUND" });
+  }
+
+  const result = await forceSettlePayment(payment, {
+    connection,
+    treasury: TREASURY,
+    isSettlementOpen,
+    resumeSettlement,
+    settlePayment
+  });
+
+  auditAdminApi(req, "settle", reference, {
+    error: result.status >= 400 || result.body.ok === false ? result.body.error : null,
+    detail: { status: result.status, state: store.payments.find(reference)?.settlement?.state || null }
+  });
+  res.status(result.status).json({ ...result.body, payment: paymentView(store.payments.find(reference)) });
+}));
+
+adminApi.get("/payouts", (req, res) => {
+  res.json(getFailedPayoutReport());
+});
+
+adminApi.post("/payouts/:id/replay", adminRoute(async (req, res) => {
+  const result = replayPayout(req.params.id);
+  if (!result.ok) {
+    auditAdminApi(req, "replay", req.params.id, { error: result.error });
+    return res.status(409).json({ error: result.error, code: "REPLAY_REFUSED" });
+  }
+
+  await processPayoutQueue();
+  auditAdminApi(req, "replay", req.params.id, { detail: { status: result.payout.status } });
+  res.json(payoutView(result.payout));
+}));
+
+adminApi.get("/phase", (req, res) => {
+  res.json({
+    round: cycleStartTime,
+    phase,
+    nextPhaseAt: nextPhaseTime && new Date(nextPhaseTime).toISOString(),
+    changing: phaseTransitionRunning,
+    paymentsPaused: store.meta.get("paymentsPaused")
+  });
+});
+
+// Body: { "action": "advance" } or { "action": "extend", "minutes": 30 }
+adminApi.post("/phase", adminRoute(async (req, res) => {
+  const { action, minutes } = req.body || {};
+  const from = phase;
+
+  if (action === "advance") {
+    const advanced = await advancePhase(req.adminCaller);
+    if (!advanced) {
+      auditAdminApi(req, "phase", "advance", { error: "Phase change already running" });
+      return res.status(409).json({ error: "A phase change is already running", code: "PHASE_CHANGE_RUNNING" });
+    }
+  } else if (action === "extend" && Number.isInteger(minutes)) {
+    extendPhase(minutes);
+  } else {
+    return res.status(400).json({ error: "action must be \"advance\" or \"extend\" with integer minutes", code: "INVALID_ACTION" });
+  }
+
+  auditAdminApi(req, "phase", action === "extend" ? `extend ${minutes}` : action, { detail: { from, to: phase, nextPhaseTime } });
+  res.json({ round: cycleStartTime, from, phase, nextPhaseAt: new Date(nextPhaseTime).toISOString() });
+}));
+
+// ?format=json (default) or csv - CSV holds one row per entry
+adminApi.get("/rounds/:id/export", (req, res) => {
+  const id = Number(req.params.id);
+  const data = exportRound(id);
+  if (!data) {
+    return res.status(404).json({ error: "Round not found", code: "ROUND_NOT_FOUND" });
+  }
+
+  if (req.query.format === "csv") {
+    const rows = data.entries.map(entry => CSV_COLUMNS.map(col => csvCell(entry[col])).join(","));
+    res.type("text/csv").attachment(`round-${id}.csv`).send([CSV_COLUMNS.join(","), ...rows].join("\n") + "\n");
+    return;
+  }
+
+  res.attachment(`round-${id}.json`).json(data);
+});
+
+app.use("/admin", adminApi);
+
+app.post(`/webhook/${token}`, generalLimiter, (req, res) => {
+  bot.processUpdate(req.body);
+  res.sendStatus(200);
+});
+
+// === SOLANA PAY ===
+// Self-hosted payment flow. The bot's tier picker links to GET /pay, which hands
+// the wallet a Solana Pay transaction request (solana:<url>). The wallet fetches
+// GET /pay/tx/:reference for a label and POSTs its account for a transfer into
+// TREASURY with the session reference attached; the reference watcher settles
+// it once it finalizes.
+const PAY_MIN_SOL = TIERS.BASIC.min;
+const PAY_MAX_SOL = 100;
+
+function parsePayAmount(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount >= PAY_MIN_SOL && amount <= PAY_MAX_SOL
+    ? Math.round(amount * LAMPORTS_PER_SOL) / LAMPORTS_PER_SOL
+    : null;
+}
+
+function paymentPageUrl(reference, amount) {
+  return `${PUBLIC_URL}/pay?reference=${reference}&amount=${amount}`;
+}
+
+// One button per tier, each opening the payment page at that tier's entry amount
+function tierKeyboard(reference) {
+  return Object.values(TIERS).map(tier => [{
+    text: `${tier.badge} ${tier.name} · ${tier.min} SOL · ${tier.multiplier}x`,
+    url: paymentPageUrl(reference, tier.min)
+  }]);
+}
+
+// The open, unpaid session a payment request belongs to - or an error response
+function payableSession(reference) {
+  const payment = store.payments.find(reference);
+  if (!payment) {
+    return { status: 404, body: { error: "Payment session not found", code: "PAYMENT_NOT_FOUND" } };
+  }
+  if (store.payments.status(reference) !== "open" || payment.confirmed || payment.settlement) {
+    return { status: 410, body: { error: "Payment session is closed", code: "SESSION_CLOSED" } };
+  }
+  return { payment };
+}
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+
+app.get("/pay/icon.svg", (_, res) => {
+  res.type("image/svg+xml").send(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect width="64" height="64" rx="14" fill="#111"/><text x="32" y="44" font-family="sans-serif" font-size="36" font-weight="bold" fill="#f5c542" text-anchor="middle">X</text></svg>`
+  );
+});
+
+// Solana Pay transaction request: metadata
+app.get("/pay/tx/:reference", generalLimiter, (req, res) => {
+  res.json({ label: "Xposure Competition", icon: `${PUBLIC_URL}/pay/icon.svg` });
+});
+
+// Solana Pay transaction request: body { account } → { transaction, message }
+app.post("/pay/tx/:reference", paymentLimiter, async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const amount = parsePayAmount(req.query.amount);
+    if (amount === null) {
+      return res.status(400).json({ error: `Invalid amount (must be ${PAY_MIN_SOL}-${PAY_MAX_SOL} SOL)`, code: "INVALID_AMOUNT" });
+    }
+
+    const session = payableSession(reference);
+    if (!session.payment) return res.status(session.status).json(session.body);
+
+    let payer;
+    try {
+      payer = new PublicKey(req.body?.account);
+    } catch (e) {
+      return res.status(400).json({ error: "Invalid account", code: "INVALID_WALLET" });
+    }
+
+    const transfer = SystemProgram.transfer({
+      fromPubkey: payer,
+      toPubkey: TREASURY,
+      lamports: Math.round(amount * LAMPORTS_PER_SOL)
+    });
+    // Read-only key the watcher finds the payment by
+    transfer.keys.push({ pubkey: new PublicKey(reference), isSigner: false, isWritable: false });
+
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash("confirmed");
+    const tx = new Transaction({ feePayer: payer, blockhash, lastValidBlockHeight }).add(transfer);
+
+    const tier = getTier(amount);
+    console.log(`🧾 Transaction request: ${amount} SOL (${tier.name}) from ${payer.toBase58().substring(0, 8)}... for ${reference.substring(0, 8)}...`);
+
+    res.json({
+      transaction: tx.serialize({ requireAllSignatures: false, verifySignatures: false }).toString("base64"),
+      message: `${tier.badge} ${tier.name} entry - ${amount} SOL (${tier.multiplier}x prize multiplier)`
+    });
+  } catch (err) {
+    console.error(`💥 Transaction request failed: ${err.message}`);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Payment page opened from the bot's tier picker
+app.get("/pay", generalLimiter, (req, res) => {
+  const reference = String(req.query.reference || "");
+  const amount = parsePayAmount(req.query.amount);
+  const session = reference ? payableSession(reference) : { status: 404 };
+
+  const page = (body) => res.type("html").send(
+    `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Xposure Payment</title>` +
+    `<style>body{font-family:sans-serif;background:#111;color:#eee;max-width:420px;margin:40px auto;padding:0 16px;text-align:center}` +
+    `a.btn{display:block;margin:12px 0;padding:14px;border-radius:10px;background:#f5c542;color:#111;font-weight:bold;text-decoration:none}` +
+    `a.tier{color:#f5c542}small{color:#999}</style></head><body><h1>🎤 Xposure</h1>${body}</body></html>`
+  );
+
+  if (!session.payment || amount === null) {
+    res.status(session.payment ? 400 : session.status);
+    return page(`<p>⚠️ ${session.payment ? "Invalid amount." : "This payment session has expired or was already paid."}</p><p>Type /start in the bot to begin again.</p>`);
+  }
+
+  const tier = getTier(amount);
+  const txRequest = `${PUBLIC_URL}/pay/tx/${reference}?amount=${amount}`;
+  const otherTiers = Object.values(TIERS)
+    .filter(t => t !== tier)
+    .map(t => `<a class="tier" href="${escapeHtml(paymentPageUrl(reference, t.min))}">${t.badge} ${escapeHtml(t.name)} (${t.min} SOL)</a>`)
+    .join(" · ");
+
+  page(
+    `<h2>${tier.badge} ${escapeHtml(tier.name)}</h2>` +
+    `<p><b>${amount} SOL</b><br>${(tier.retention * 100).toFixed(0)}% retention · ${tier.multiplier}x prize multiplier</p>` +
+    `<a class="btn" href="solana:${encodeURIComponent(txRequest)}">🪙 Pay with Solana wallet</a>` +
+    `<p><small>Your entry is confirmed in Telegram automatically once the payment finalizes.</small></p>` +
+    `<p><small>Switch tier: ${otherTiers}</small></p>`
+  );
+});
+
+// === PAYMENT CONFIRMATION ===
+// The redirect service signs each callback with PAYMENT_WEBHOOK_SECRET:
+//   X-Xposure-Timestamp: epoch milliseconds
+//   X-Xposure-Nonce:     unique per request (8-128 chars)
+//   X-Xposure-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${nonce}.${rawBody}`>
+// Callbacks older than 5 minutes or reusing a nonce are rejected. Without a
+// secret configured every callback is refused (the reference watcher still
+// settles payments) unless ALLOW_UNSIGNED_WEBHOOK=1 opts into accepting
+// unsigned ones, e.g. while the redirect service is being upgraded.
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET || null;
+const ALLOW_UNSIGNED_WEBHOOK = process.env.ALLOW_UNSIGNED_WEBHOOK === "1";
+const WEBHOOK_MAX_AGE = 5 * 60 * 1000;
+
+if (!PAYMENT_WEBHOOK_SECRET) {
+  console.warn(ALLOW_UNSIGNED_WEBHOOK
+    ? "⚠️ PAYMENT_WEBHOOK_SECRET not set - /confirm-payment accepts unsigned callbacks (ALLOW_UNSIGNED_WEBHOOK=1)"
+    : "⚠️ PAYMENT_WEBHOOK_SECRET not set - /confirm-payment rejects all callbacks (set ALLOW_UNSIGNED_WEBHOOK=1 to accept unsigned ones)");
+}
+
+function verifyPaymentSignature(req, res, next) {
+  if (!PAYMENT_WEBHOOK_SECRET) {
+    if (ALLOW_UNSIGNED_WEBHOOK) return next();
+    console.log("❌ CALLBACK rejected - no webhook secret configured");
+    return res.status(503).json({ error: "Payment callbacks are not configured", code: "SIGNATURE_NOT_CONFIGURED" });
+  }
+
+  const timestamp = Number(req.get("x-xposure-timestamp"));
+  const nonce = req.get("x-xposure-nonce") || "";
+  const signature = (req.get("x-xposure-signature") || "").replace(/^sha256=/, "");
+
+  if (!timestamp || !signature || !/^[\w-]{8,128}$/.test(nonce)) {
+    console.log("❌ UNSIGNED CALLBACK rejected");
+    return res.status(401).json({ error: "Missing signature headers", code: "SIGNATURE_MISSING" });
+  }
+  if (Math.abs(Date.now() - timestamp) > WEBHOOK_MAX_AGE) {
+    console.log(`❌ STALE CALLBACK rejected (${Math.round((Date.now() - timestamp) / 1000)}s old)`);
+    return res.status(401).json({ error: "Timestamp outside the allowed window", code: "SIGNATURE_EXPIRED" });
+  }
+
+  const expected = crypto.createHmac("sha256", PAYMENT_WEBHOOK_SECRET)
+    .update(`${timestamp}.${nonce}.${req.rawBody || ""}`)
+    .digest("hex");
+  if (!safeEqual(signature, expected)) {
+    console.log("❌ INVALID SIGNATURE on callback");
+    return res.status(401).json({ error: "Invalid signature", code: "SIGNATURE_INVALID" });
+  }
+
+  // Checked last so a forged request can't burn a real nonce. Nonces are kept
+  // for twice the window, covering timestamps up to 5 minutes in the future.
+  if (!store.nonces.claim(nonce, Date.now() - 2 * WEBHOOK_MAX_AGE)) {
+    console.log(`❌ REPLAYED CALLBACK rejected (nonce ${nonce})`);
+    return res.status(409).json({ error: "Nonce already used", code: "SIGNATURE_REPLAYED" });
+  }
+
+  next();
+}
+
+app.post("/confirm-payment", paymentLimiter, verifyPaymentSignature, async (req, res) => {
+  console.log("\n==============================================");
+  console.log("🔔 /confirm-payment ENDPOINT HIT!");
+  console.log("📦 Request body:", JSON.stringify(req.body, null, 2));
+  console.log("==============================================\n");
+  
+  try {
+    const { signature, reference, userId, amount, senderWallet } = req.body;
+    
+    // === VALIDATION ===
+    console.log("🔍 Validating parameters...");
+    if (!userId || !reference || !senderWallet || !signature) {
+      console.log("❌ MISSING PARAMETERS!");
+      console.warn("⚠️ Missing params:", req.body);
+      return res.status(400).json({ error: "Missing required fields", code: "MISSING_FIELDS" });
+    }
+    
+    // Bounds are checked by processPayment, for watcher payments too
+    const amountNum = parseFloat(amount);
+    
+    // Validate wallet and reference addresses
+    try {
+      new PublicKey(senderWallet);
+    } catch (e) {
+      console.log("❌ INVALID WALLET:", senderWallet);
+      return res.status(400).json({ error: "Invalid wallet address", code: "INVALID_WALLET" });
+    }
+    
+    try {
+      new PublicKey(reference);
+    } catch (e) {
+      console.log("❌ INVALID REFERENCE:", reference);
+      return res.status(400).json({ error: "Invalid reference", code: "INVALID_REFERENCE" });
+    }
+    
+    console.log("✅ Parameters validated!");
+
+    const result = await settlePayment({
+      signature,
+      reference,
+      userId,
+      amount: amountNum,
+      senderWallet,
+      source: "webhook"
+    });
+    res.status(result.status).json(result.body);
+  } catch (err) {
+    console.error(`\n💥 FATAL ERROR in confirm-payment: ${err.message}`);
+    console.error(err.stack);
+    res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// === PAYMENT SETTLEMENT ===
+// Shared by the /confirm-payment webhook and the reference watcher. Concurrent
+// calls for the same reference share one run, and a confirmed reference is
+// never settled twice.
+const settlementsInFlight = new Map();
+
+function withSettlementLock(reference, source, fn) {
+  const inFlight = settlementsInFlight.get(reference);
+  if (inFlight) {
+    console.log(`⏳ Settlement already running for ${reference.substring(0, 8)}... (${source})`);
+    return inFlight;
+  }
+
+  const run = fn().finally(() => settlementsInFlight.delete(reference));
+  settlementsInFlight.set(reference, run);
+  return run;
+}
+
+function settlePayment(params) {
+  return withSettlementLock(params.reference, params.source, () => processPayment(params));
+}
+
+function resumeSettlement(payment) {
+  return withSettlementLock(payment.reference, "recovery", () => runSettlement(payment));
+}
+
+// Accepted payment size, however the payment arrives
+const PAYMENT_MIN_SOL = 0.001;
+const PAYMENT_MAX_SOL = 100;
+
+function isPayableAmount(amount) {
+  return Number.isFinite(amount) && amount >= PAYMENT_MIN_SOL && amount <= PAYMENT_MAX_SOL;
+}
+
+function invalidAmountResponse() {
+  return {
+    status: 400,
+    body: { error: `Invalid amount (must be ${PAYMENT_MIN_SOL}-${PAYMENT_MAX_SOL} SOL)`, code: "INVALID_AMOUNT" }
+  };
+}
+
+async function processPayment({ signature, reference, userId, amount, senderWallet, source = "webhook" }) {
+  let amountNum = amount;
+  const userKey = String(userId);
+  
+  console.log(`\n💳 ========== PAYMENT RECEIVED ==========`);
+  console.log(`💰 Amount: ${amountNum} SOL`);
+  console.log(`👤 User: ${userKey}`);
+  console.log(`👛 Wallet: ${senderWallet.substring(0, 8)}...`);
+  console.log(`📝 Reference: ${reference.substring(0, 8)}...`);
+  console.log(`📥 Source: ${source}`);
+  console.log(`=====================================\n`);
+
+  // Check for duplicates
+  let existing = store.payments.find(reference);
+  if (existing && isSettlementOpen(existing)) {
+    console.log(`🔁 Payment confirmed earlier - resuming from ${existing.settlement.state}`);
+    return runSettlement(existing);
+  }
+  if (existing && existing.settlement?.state === "refunded") {
+    console.log("⚠️ Payment was refunded - returning refund details");
+    return { status: 200, body: refundResponse(existing) };
+  }
+  if (existing && existing.confirmed) {
+    console.log("⚠️ Payment already processed - returning success");
+    return { status: 200, body: { ok: true, message: "Already processed" } };
+  }
+
+  if (existing && existing.userId !== userKey) {
+    console.log("❌ USER MISMATCH for reference:", reference);
+    return { status: 403, body: { error: "Reference belongs to another user", code: "USER_MISMATCH" } };
+  }
+
+  if (!isPayableAmount(amountNum)) {
+    console.log("❌ INVALID AMOUNT:", amount);
+    return invalidAmountResponse();
+  }
+
+  // === ON-CHAIN VERIFICATION ===
+  console.log("🔍 Verifying transaction on-chain...");
+  const verification = await verifyPaymentTransaction(
+    { signature, reference, senderWallet, amount: amountNum },
+    { connection, treasury: TREASURY, findBySignature: (sig) => store.payments.findBySignature(sig) }
+  );
+  if (!verification.ok) {
+    console.log(`❌ VERIFICATION FAILED (${verification.code}): ${verification.error}`);
+    return {
+      status: PAYMENT_ERROR_STATUS[verification.code] || 400,
+      body: { error: verification.error, code: verification.code }
+    };
+  }
+
+  // Settle for what actually landed on-chain
+  amountNum = verification.amount;
+  console.log(`✅ Transaction verified: ${amountNum} SOL from ${senderWallet.substring(0, 8)}...`);
+  if (!isPayableAmount(amountNum)) {
+    console.log(`❌ INVALID AMOUNT: ${amountNum} SOL landed`);
+    return invalidAmountResponse();
+  }
+
+  // Another request may have settled this reference while we were verifying
+  existing = store.payments.find(reference);
+  if (existing && existing.confirmed) {
+    console.log("⚠️ Payment already processed - returning success");
+    return { status: 200, body: { ok: true, message: "Already processed" } };
+  }
+
+  if (!existing) {
+    existing = { userId: userKey, reference };
+  }
+
+  existing.confirmed = true;
+  existing.signature = signature;
+  existing.settlement = {
+    state: "received",
+    source,
+    amount: amountNum,
+    senderWallet,
+    signatures: {},
+    receivedAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  // A session that expired before the transfer was seen is back in play
+  store.payments.save(existing, "open");
+
+  return runSettlement(existing);
+}
+
+// === PAYMENT SPLIT ===
+function computePaymentSplit(amountNum) {
+  const tier = getTier(amountNum);
+  let retention = tier.retention;
+  let multiplier = tier.multiplier;
+
+  if (tier === TIERS.WHALE) {
+    retention = getWhaleRetention(amountNum);
+    multiplier = getWhaleMultiplier(amountNum);
+  }
+
+  return {
+    transFee: amountNum * 0.10,
+    remainingSOL: amountNum * 0.90,
+    tier,
+    retention,
+    multiplier
+  };
+}
+
+// === SETTLEMENT STATE MACHINE ===
+// received → fee_sent → bought → user_paid → pooled → registered
+//                  ↘ refund_pending → refunded (failed purchase)
+// Every transition is persisted with the step's transaction signature, so a
+// payment interrupted by a crash resumes from its last completed step.
+const SETTLEMENT_STATES = [
+  "received", "fee_sent", "bought", "user_paid", "pooled", "registered",
+  "refund_pending", "refunded"
+];
+const FINAL_SETTLEMENT_STATES = ["registered", "refunded"];
+const SUBMITTED_TX_EXPIRY = 2 * 60 * 1000; // A blockhash is long expired after 2 minutes
+
+function isSettlementOpen(payment) {
+  return !!payment.settlement && !FINAL_SETTLEMENT_STATES.includes(payment.settlement.state);
+}
+
+function advanceSettlement(payment, state, fields = {}) {
+  Object.assign(payment.settlement, fields, { state, updatedAt: Date.now() });
+  delete payment.settlement.submitted;
+  store.payments.save(payment);
+  console.log(`📒 Settlement ${payment.reference.substring(0, 8)}... → ${state}`);
+}
+
+// Persist a signature the moment it is sent, before waiting for confirmation.
+// `details` (e.g. the buy's venue) is kept with it for recovery.
+function recordSubmitted(payment, step) {
+  return (sig, details = {}) => {
+    payment.settlement.submitted = { ...details, step, signature: sig, submittedAt: Date.now() };
+    payment.settlement.updatedAt = Date.now();
+    store.payments.save(payment);
+  };
+}
+
+// Resolve a signature sent before a crash: "landed", "failed" or "dropped"
+async function resolveSubmittedSignature({ signature, submittedAt }) {
+  while (true) {
+    const { value } = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+
+    if (value?.err) return "failed";
+    if (value?.confirmationStatus === "confirmed" || value?.confirmationStatus === "finalized") {
+      return "landed";
+    }
+    if (Date.now() - submittedAt > SUBMITTED_TX_EXPIRY) return "dropped";
+
+    await new Promise(r => setTimeout(r, 5000));
+  }
+}
+
+// XPOSURE the treasury gained in a confirmed transaction, read from its token balances
+async function getTreasuryTokenDelta(signature) {
+  const tx = await connection.getParsedTransaction(signature, {
+    commitment: "confirmed",
+    maxSupportedTransactionVersion: 0
+  });
+  if (!tx?.meta) return 0;
+
+  const owner = TREASURY_KEYPAIR.publicKey.toBase58();
+  const mint = TOKEN_MINT.toBase58();
+  const balanceOf = (balances) =>
+    balances?.find(b => b.owner === owner && b.mint === mint)?.uiTokenAmount.uiAmount || 0;
+
+  return Math.floor(balanceOf(tx.meta.postTokenBalances) - balanceOf(tx.meta.preTokenBalances));
+}
+
+// Returns "landed" when the step's transaction from a previous run went through
+async function recoverSubmittedStep(payment, step) {
+  const submitted = payment.settlement.submitted;
+  if (!submitted || submitted.step !== step) return null;
+
+  console.log(`🔁 Checking ${step} transaction from previous run: ${submitted.signature.substring(0, 8)}...`);
+  const outcome = await resolveSubmittedSignature(submitted);
+  console.log(`🔁 Previous ${step} transaction ${outcome}`);
+  return outcome;
+}
+
+async function runSettlement(payment) {
+  const steps = {
+    received: settleTransFee,
+    fee_sent: settleBuy,
+    bought: settleUserTransfer,
+    user_paid: settlePools,
+    pooled: settleRegistration,
+    refund_pending: settleRefund
+  };
+
+  while (isSettlementOpen(payment)) {
+    const step = steps[payment.settlement.state];
+    if (!step || !SETTLEMENT_STATES.includes(payment.settlement.state)) {
+      console.error(`❌ Unknown settlement state: ${payment.settlement.state}`);
+      return { status: 500, body: { ok: false, error: "Invalid settlement state" } };
+    }
+
+    const stop = await step(payment);
+    if (stop) return stop;
+  }
+
+  if (payment.settlement.state === "refunded") {
+    return { status: 200, body: refundResponse(payment) };
+  }
+
+  console.log("✅ Payment processing complete - returning success to client\n");
+  return { status: 200, body: { ok: true, xposureAmount: payment.settlement.userXPOSURE } };
+}
+
+// === STEP 1: SEND TRANS FEE ===
+async function settleTransFee(payment) {
+  const { amount } = payment.settlement;
+  const { transFee, remainingSOL, tier, retention, multiplier } = computePaymentSplit(amount);
+
+  console.log(`\n💰 ========== PAYMENT SPLIT ==========`);
+  console.log(`🏦 Trans Fee (10%): ${transFee.toFixed(4)} SOL → Fee wallet`);
+  console.log(`💎 Buy XPOSURE with: ${remainingSOL.toFixed(4)} SOL`);
+  console.log(`📊 Then split XPOSURE tokens:`);
+  console.log(`   👤 User gets: ${(retention * 100).toFixed(0)}% of XPOSURE`);
+  console.log(`   🏆 Competition pool: ${((1 - retention) * 100).toFixed(0)}% of XPOSURE`);
+  console.log(`${tier.badge} Tier: ${tier.name} | ${multiplier}x multiplier`);
+  console.log(`=====================================\n`);
+
+  const recovered = await recoverSubmittedStep(payment, "fee");
+  if (recovered === "landed") {
+    store.transaction(() => {
+      transferLedger("Trans fee", LEDGER_ACCOUNTS.PAYMENTS, LEDGER_ACCOUNTS.TRANS_FEES, transFee, { ref: payment.reference, asset: "SOL" });
+      advanceSettlement(payment, "fee_sent", {
+        signatures: { ...payment.settlement.signatures, fee: payment.settlement.submitted.signature }
+      });
+    });
+    return null;
+  }
+
+  console.log("💸 Sending trans fee...");
+  let submittedSig = null;
+  const onSubmitted = recordSubmitted(payment, "fee");
+  let sig = await sendSOLPayout(TRANS_FEE_WALLET.toBase58(), transFee, "Trans fee", (s) => {
+    submittedSig = s;
+    onSubmitted(s);
+  });
+
+  // The fee went out but confirmation failed - it may still land
+  if (!sig && submittedSig) {
+    const outcome = await resolveSubmittedSignature(payment.settlement.submitted);
+    console.log(`🔁 Submitted fee transaction ${outcome}`);
+    if (outcome === "landed") sig = submittedSig;
+  }
+
+  if (sig) {
+    console.log("✅ Trans fee sent successfully");
+  } else {
+    // A failed fee never blocks the user's entry
+    console.error(`❌ Trans fee failed - continuing settlement`);
+  }
+
+  store.transaction(() => {
+    if (sig) {
+      transferLedger("Trans fee", LEDGER_ACCOUNTS.PAYMENTS, LEDGER_ACCOUNTS.TRANS_FEES, transFee, { ref: payment.reference, asset: "SOL" });
+    }
+    advanceSettlement(payment, "fee_sent", {
+      signatures: { ...payment.settlement.signatures, fee: sig || null }
+    });
+  });
+  return null;
+}
+
+// === STEP 2: BUY XPOSURE WITH ALL REMAINING SOL ===
+async function settleBuy(payment) {
+  const { amount } = payment.settlement;
+  const { remainingSOL } = computePaymentSplit(amount);
+  let totalXPOSURE = 0;
+  let buySig = null;
+  let route = null;
+  let failureReason = "Token purchase returned 0 tokens";
+
+  const recovered = await recoverSubmittedStep(payment, "buy");
+  if (recovered === "landed") {
+    buySig = payment.settlement.submitted.signature;
+    totalXPOSURE = await getTreasuryTokenDelta(buySig);
+    route = await recoverBuyRoute(payment.settlement.submitted, remainingSOL, { adapters: SWAP_ADAPTERS });
+    console.log(`✅ Recovered purchase: ${totalXPOSURE.toLocaleString()} XPOSURE`);
+  } else {
+    console.log("\n🪙 Starting XPOSURE purchase with ALL remaining SOL...");
+
+    // Get treasury balance BEFORE purchase
+    let balanceBefore = 0;
+    try {
+      const treasuryTokenAccount = await getAssociatedTokenAddress(
+        TOKEN_MINT,
+        TREASURY_KEYPAIR.publicKey
+      );
+      const beforeBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
+      balanceBefore = Math.floor(parseFloat(beforeBalance.value.uiAmount || 0));
+      console.log(`📊 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} XPOSURE`);
+    } catch (e) {
+      console.log(`📊 Treasury balance BEFORE: 0 XPOSURE (account doesn't exist yet)`);
+      balanceBefore = 0;
+    }
+
+    try {
+      const onSubmitted = recordSubmitted(payment, "buy");
+      const result = await buyXPOSUREOnMarket(remainingSOL, (sig, details) => {
+        buySig = sig;
+        onSubmitted(sig, details);
+      });
+      route = {
+        venue: result.venue,
+        market: result.market,
+        expectedOut: result.expectedOut,
+        quotes: result.quotes
+      };
+      // Venues that charge what the tokens cost report how much SOL they used
+      if (result.solSpent != null) {
+        route.solQuoted = result.solQuoted;
+        route.solSpent = result.solSpent;
+        route.solUnspent = Math.max(0, remainingSOL - result.solSpent);
+      }
+      console.log(`🧭 Routed via ${route.venue} (${route.market})`);
+
+      // Get treasury balance AFTER purchase
       const treasuryTokenAccount = await getAssociatedTokenAddress(
         TOKEN_MINT,
         TREASURY_KEYPAIR.publicKey
@@ -998,181 +2330,250 @@ app.post("/confirm-payment", paymentLimiter, async (req, res) => {
       const afterBalance = await connection.getTokenAccountBalance(treasuryTokenAccount);
       const balanceAfter = Math.floor(parseFloat(afterBalance.value.uiAmount || 0));
       console.log(`📊 Treasury balance AFTER: ${balanceAfter.toLocaleString()} XPOSURE`);
-      
+
       // Calculate actual tokens received
       totalXPOSURE = balanceAfter - balanceBefore;
       console.log(`\n✅ XPOSURE purchase SUCCESS: ${totalXPOSURE.toLocaleString()} XPOSURE tokens received`);
     } catch (err) {
       console.error(`\n❌ XPOSURE purchase FAILED: ${err.message}`);
       console.error(err.stack);
-    }
 
-    // === CHECK IF PURCHASE WAS SUCCESSFUL ===
-    if (totalXPOSURE === 0 || !totalXPOSURE) {
-      console.log("⚠️ XPOSURE purchase returned 0 tokens - notifying user of failure");
-      
-      try {
-        await bot.sendMessage(
-          userId,
-          `❌ Purchase Failed!\n\n⚠️ We received your ${amountNum} SOL payment, but the XPOSURE token purchase failed.\n\n🔄 Please contact support or try again.\n\nError: Token purchase returned 0 tokens.`
-        );
-      } catch (e) {
-        console.error("⚠️ Failed to send error message:", e.message);
+      if (isSlippageError(err)) {
+        failureReason = "Price moved past the max SOL cost";
+      }
+
+      // The swap went out but confirmation failed - it may still land
+      if (buySig) {
+        const outcome = await resolveSubmittedSignature(payment.settlement.submitted);
+        console.log(`🔁 Submitted buy transaction ${outcome}`);
+        if (outcome === "landed") {
+          totalXPOSURE = await getTreasuryTokenDelta(buySig);
+          route = route || await recoverBuyRoute(payment.settlement.submitted, remainingSOL, { adapters: SWAP_ADAPTERS });
+        }
       }
-      
-      console.log("✅ Error notification sent - returning error to client\n");
-      return res.json({ ok: false, error: "XPOSURE purchase failed", xposureAmount: 0 });
     }
+  }
 
-    // === SPLIT XPOSURE TOKENS ===
-    const userXPOSURE = Math.floor(totalXPOSURE * retention);
-    const competitionXPOSURE = totalXPOSURE - userXPOSURE;
-    
-    console.log(`\n💎 ========== XPOSURE TOKEN SPLIT ==========`);
-    console.log(`🪙 Total XPOSURE bought: ${totalXPOSURE.toLocaleString()}`);
-    console.log(`👤 User gets: ${userXPOSURE.toLocaleString()} XPOSURE (${(retention * 100).toFixed(0)}%)`);
-    console.log(`🏆 Competition pool: ${competitionXPOSURE.toLocaleString()} XPOSURE (${((1 - retention) * 100).toFixed(0)}%)`);
-    console.log(`========================================\n`);
+  // === CHECK IF PURCHASE WAS SUCCESSFUL ===
+  if (totalXPOSURE === 0 || !totalXPOSURE) {
+    console.log("⚠️ XPOSURE purchase returned 0 tokens - refunding un-swapped SOL");
+    advanceSettlement(payment, "refund_pending", {
+      refundReason: failureReason,
+      signatures: { ...payment.settlement.signatures, buy: buySig }
+    });
+    return null;
+  }
+
+  // SOL the buy didn't use goes back to the payer
+  const unspentSOL = route?.solUnspent || 0;
+  const unspentRefund = unspentSOL * LAMPORTS_PER_SOL > REFUND_NETWORK_FEE_LAMPORTS
+    ? unspentSOL - REFUND_NETWORK_FEE_LAMPORTS / LAMPORTS_PER_SOL
+    : 0;
+
+  store.transaction(() => {
+    transferLedger("Market buy", LEDGER_ACCOUNTS.MARKET_BUYS, LEDGER_ACCOUNTS.UNALLOCATED, totalXPOSURE, { ref: payment.reference });
+    if (unspentRefund > 0) {
+      enqueuePayout({
+        kind: "sol",
+        destination: payment.settlement.senderWallet,
+        amount: unspentRefund,
+        reason: "Unspent buy SOL refund",
+        userId: payment.userId,
+        message: `↩️ Your buy cost ${route.solSpent.toFixed(4)} SOL of the ${remainingSOL.toFixed(4)} SOL set aside - ${unspentRefund.toFixed(4)} SOL returned to your wallet (minus network fees).`
+      });
+    }
+    advanceSettlement(payment, "bought", {
+      totalXPOSURE,
+      route,
+      signatures: { ...payment.settlement.signatures, buy: buySig }
+    });
+  });
+  return null;
+}
+
+// === STEP 3: TRANSFER USER'S PORTION ===
+async function settleUserTransfer(payment) {
+  const { amount, senderWallet, totalXPOSURE } = payment.settlement;
+  const { retention } = computePaymentSplit(amount);
+
+  // === SPLIT XPOSURE TOKENS ===
+  const userXPOSURE = Math.floor(totalXPOSURE * retention);
+  const competitionXPOSURE = totalXPOSURE - userXPOSURE;
+
+  console.log(`\n💎 ========== XPOSURE TOKEN SPLIT ==========`);
+  console.log(`🪙 Total XPOSURE bought: ${totalXPOSURE.toLocaleString()}`);
+  console.log(`👤 User gets: ${userXPOSURE.toLocaleString()} XPOSURE (${(retention * 100).toFixed(0)}%)`);
+  console.log(`🏆 Competition pool: ${competitionXPOSURE.toLocaleString()} XPOSURE (${((1 - retention) * 100).toFixed(0)}%)`);
+  console.log(`========================================\n`);
+
+  let transferSig = null;
+  for (const delay of TRANSFER_RETRY_DELAYS) {
+    if (delay) {
+      console.log(`🔁 Retrying user transfer in ${delay / 1000}s...`);
+      await new Promise(r => setTimeout(r, delay));
+    }
+
+    const recovered = await recoverSubmittedStep(payment, "userTransfer");
+    if (recovered === "landed") {
+      transferSig = payment.settlement.submitted.signature;
+      break;
+    }
 
-    // === TRANSFER USER'S PORTION ===
     console.log(`📤 Transferring ${userXPOSURE.toLocaleString()} XPOSURE to user...`);
-    const transferSuccess = await transferTokensToRecipient(userXPOSURE, senderWallet);
-    
-    if (!transferSuccess) {
-      console.error("❌ Transfer failed!");
+    transferSig = await transferTokensToRecipient(userXPOSURE, senderWallet, recordSubmitted(payment, "userTransfer"));
+    if (transferSig) break;
+  }
+
+  if (!transferSig) {
+    console.error("❌ Transfer failed after retries - re-queuing token payout");
+    const requeues = (payment.settlement.transferRequeues || 0) + 1;
+    const retryIn = Math.min(TRANSFER_REQUEUE_BASE_DELAY * 2 ** (requeues - 1), TRANSFER_REQUEUE_MAX_DELAY);
+
+    payment.settlement.transferRequeues = requeues;
+    payment.settlement.nextRetryAt = Date.now() + retryIn;
+    recordRefund(payment, {
+      type: "token_requeue",
+      amount: userXPOSURE,
+      unit: "XPOSURE",
+      status: "queued",
+      reason: "Transfer to wallet failed"
+    });
+
+    // Only DM on the first re-queue; later retries stay silent until they land
+    if (requeues === 1) {
       try {
         await bot.sendMessage(
-          userId,
-          `❌ Transfer Failed!\n\n⚠️ XPOSURE purchase succeeded but transfer to your wallet failed.\n\nPlease contact support.`
+          payment.userId,
+          `⚠️ Transfer Delayed!\n\n✅ Your XPOSURE purchase succeeded, but the transfer to your wallet failed.\n\n🔁 ${userXPOSURE.toLocaleString()} XPOSURE has been re-queued and will be retried automatically.`
         );
       } catch (e) {}
-      return res.json({ ok: false, error: "Transfer failed", xposureAmount: 0 });
     }
+    return { status: 200, body: { ok: false, error: "Transfer failed", requeued: true, xposureAmount: 0 } };
+  }
 
-    console.log(`✅ ${userXPOSURE.toLocaleString()} XPOSURE → ${senderWallet.substring(0, 8)}...`);
+  console.log(`✅ ${userXPOSURE.toLocaleString()} XPOSURE → ${senderWallet.substring(0, 8)}...`);
 
-    // === SPLIT COMPETITION POOL ===
-    // 65% goes to round prize pool (gets distributed)
-    // 35% goes to permanent treasury (saved, only used for bonus)
-    const roundPool = Math.floor(competitionXPOSURE * 0.65);
-    const permanentTreasury = competitionXPOSURE - roundPool;
-    
-    treasuryXPOSURE += roundPool;
-    actualTreasuryBalance += permanentTreasury;
-    
-    console.log(`\n🏦 Pool Distribution:`);
-    console.log(`   Round Pool: +${roundPool.toLocaleString()} XPOSURE (65%) → Total: ${treasuryXPOSURE.toLocaleString()} XPOSURE`);
-    console.log(`   Permanent Treasury: +${permanentTreasury.toLocaleString()} XPOSURE (35%) → Total: ${actualTreasuryBalance.toLocaleString()} XPOSURE`);
-    console.log(`   Bonus Prize Available: ${calculateTreasuryBonus().toLocaleString()} XPOSURE (${(getTreasuryBonusPercentage() * 100).toFixed(0)}%)`);
-
-    // === SAVE USER DATA ===
-    const userData = {
-      userId: userKey,
-      wallet: senderWallet,
-      amount: amountNum,
-      xposureReceived: userXPOSURE,
-      tier: tier.name,
-      tierBadge: tier.badge,
-      retention: (retention * 100).toFixed(0) + "%",
-      multiplier,
-      paid: true,
-      timestamp: Date.now()
-    };
+  // A re-queued payout finally landed
+  if (payment.settlement.transferRequeues) {
+    recordRefund(payment, { type: "token_requeue", status: "sent", signature: transferSig });
+    try {
+      await bot.sendMessage(
+        payment.userId,
+        `✅ Queued transfer complete!\n\n🪙 ${userXPOSURE.toLocaleString()} XPOSURE sent to your wallet.\n🔗 https://solscan.io/tx/${transferSig}`
+      );
+    } catch (e) {}
+  }
 
-    // === REGISTER USER BASED ON PRE-SELECTED CHOICE ===
-    const payment = pendingPayments.find(p => p.reference === reference);
-    const userChoice = payment?.choice || "vote"; // Default to vote if somehow missing
+  store.transaction(() => {
+    transferLedger("User share", LEDGER_ACCOUNTS.UNALLOCATED, LEDGER_ACCOUNTS.USER_SHARE, userXPOSURE, { ref: payment.reference });
+    advanceSettlement(payment, "user_paid", {
+      userXPOSURE,
+      competitionXPOSURE,
+      signatures: { ...payment.settlement.signatures, userTransfer: transferSig }
+    });
+  });
+  return null;
+}
 
-    if (userChoice === "upload") {
-      // Register as competitor
-      if (!payment.track) {
-        console.log("⚠️ User chose upload but didn't send audio - defaulting to vote");
-        voters.push({
-          ...userData,
-          choice: "vote",
-          votedFor: null
-        });
-        
-        try {
-          await bot.sendMessage(
-            userId,
-            `✅ Payment complete!\n\n🪙 ${userXPOSURE.toLocaleString()} XPOSURE sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier\n\n⚠️ No audio found - registered as voter.\n🗳️ Vote during voting phase to earn rewards!`
-          );
-        } catch (e) {
-          console.error("⚠️ DM error:", e.message);
-        }
-      } else {
-        participants.push({
-          ...userData,
-          choice: "upload",
-          user: payment.user,
-          track: payment.track,
-          title: payment.title,
-          trackDuration: payment.trackDuration || 0,
-          votes: 0,
-          voters: []
-        });
-        
-        // Calculate time until voting
-        const now = Date.now();
-        let timeUntilVote = "";
-        if (cycleStartTime && phase === "submission") {
-          const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
-          const timeLeft = Math.max(0, submissionEndTime - now);
-          const minutesLeft = Math.ceil(timeLeft / 60000);
-          timeUntilVote = `\n⏰ Voting starts in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}!`;
-        }
-        
-        try {
-          await bot.sendMessage(
-            userId,
-            `✅ Track entered!\n\n🪙 ${userXPOSURE.toLocaleString()} XPOSURE sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier\n\n🎤 Your track "${payment.title}" is in the competition!${timeUntilVote}\n🍀 Good luck!`
-          );
-        } catch (e) {
-          console.error("⚠️ DM error:", e.message);
-        }
-        
-        // Announce to both channels
-        try {
-          await bot.sendMessage(
-            `@${MAIN_CHANNEL}`,
-            `💰 +${roundPool.toLocaleString()} XPOSURE added to prize pool!\n🎤 ${payment.user} entered with "${payment.title}"\n\n💎 Current Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
-          );
-        } catch (e) {
-          console.error("⚠️ Main channel announcement error:", e.message);
-        }
-        
-        try {
-          await bot.sendMessage(
-            `@${CHANNEL}`,
-            `💰 +${roundPool.toLocaleString()} XPOSURE added!\n🎤 ${payment.user} - "${payment.title}"\n\n💎 Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
-          );
-        } catch (e) {
-          console.error("⚠️ Submissions channel announcement error:", e.message);
-        }
-      }
-    } else {
-      // Register as voter
-      voters.push({
+// === STEP 4: SPLIT COMPETITION POOL ===
+async function settlePools(payment) {
+  const { competitionXPOSURE } = payment.settlement;
+
+  // 65% goes to round prize pool (gets distributed)
+  // 35% goes to permanent treasury (saved, only used for bonus)
+  const roundPool = Math.floor(competitionXPOSURE * 0.65);
+  const permanentTreasury = competitionXPOSURE - roundPool;
+
+  // Pool totals and the state change are written in the same transaction
+  store.transaction(() => {
+    postLedger("Competition pool split", [
+      { account: LEDGER_ACCOUNTS.UNALLOCATED, amount: -(roundPool + permanentTreasury) },
+      { account: LEDGER_ACCOUNTS.ROUND_POOL, amount: roundPool },
+      { account: LEDGER_ACCOUNTS.PERMANENT, amount: permanentTreasury }
+    ], { ref: payment.reference });
+    advanceSettlement(payment, "pooled", { roundPool, permanentTreasury });
+  });
+
+  console.log(`\n🏦 Pool Distribution:`);
+  console.log(`   Round Pool: +${roundPool.toLocaleString()} XPOSURE (65%) → Total: ${treasuryXPOSURE.toLocaleString()} XPOSURE`);
+  console.log(`   Permanent Treasury: +${permanentTreasury.toLocaleString()} XPOSURE (35%) → Total: ${actualTreasuryBalance.toLocaleString()} XPOSURE`);
+  console.log(`   Bonus Prize Available: ${calculateTreasuryBonus().toLocaleString()} XPOSURE (${(getTreasuryBonusPercentage() * 100).toFixed(0)}%)`);
+  return null;
+}
+
+// === STEP 5: REGISTER USER BASED ON PRE-SELECTED CHOICE ===
+async function settleRegistration(payment) {
+  const { amount: amountNum, senderWallet, userXPOSURE, roundPool } = payment.settlement;
+  const { tier, retention, multiplier } = computePaymentSplit(amountNum);
+  const userId = payment.userId;
+  const reference = payment.reference;
+
+  // Already registered before a crash - only the state change was lost
+  const registered = store.entries.findByReference(reference) || store.voters.findByReference(reference);
+  if (registered) {
+    payment.paid = true;
+    advanceSettlement(payment, "registered");
+    return null;
+  }
+
+  // === SAVE USER DATA ===
+  const userData = {
+    userId,
+    user: payment.user || null,
+    reference,
+    wallet: senderWallet,
+    amount: amountNum,
+    xposureReceived: userXPOSURE,
+    tier: tier.name,
+    tierBadge: tier.badge,
+    retention: (retention * 100).toFixed(0) + "%",
+    multiplier,
+    paid: true,
+    timestamp: Date.now()
+  };
+
+  const userChoice = payment.choice || "vote"; // Default to vote if somehow missing
+
+  if (userChoice === "upload") {
+    // Register as competitor
+    if (!payment.track) {
+      console.log("⚠️ User chose upload but didn't send audio - defaulting to vote");
+      store.voters.save(cycleStartTime, {
         ...userData,
         choice: "vote",
         votedFor: null
       });
       
-      // Calculate time until voting
-      const now = Date.now();
-      let timeUntilVote = "";
-      if (cycleStartTime && phase === "submission") {
-        const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
-        const timeLeft = Math.max(0, submissionEndTime - now);
-        const minutesLeft = Math.ceil(timeLeft / 60000);
-        timeUntilVote = `\n⏰ Voting starts in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}!`;
+      try {
+        await bot.sendMessage(
+          userId,
+          `✅ Payment complete!\n\n🪙 ${userXPOSURE.toLocaleString()} XPOSURE sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier\n\n⚠️ No audio found - registered as voter.\n🗳️ Vote during voting phase to earn rewards!`
+        );
+      } catch (e) {
+        console.error("⚠️ DM error:", e.message);
       }
+    } else {
+      store.entries.save(cycleStartTime, {
+        ...userData,
+        choice: "upload",
+        user: payment.user,
+        track: payment.track,
+        title: payment.title,
+        artist: payment.artist,
+        genre: payment.genre,
+        cover: payment.cover,
+        trackDuration: payment.trackDuration || 0,
+        trackKind: payment.trackKind || "audio",
+        ...(payment.duplicateOf && { duplicateOf: payment.duplicateOf })
+      });
+      store.tracks.markEntered(payment.reference);
+      
+      const timeUntilVote = phase === "submission" ? `\n⏰ Voting starts in ${phaseTimeLeft()}!` : "";
       
       try {
         await bot.sendMessage(
           userId,
-          `✅ Registered as voter!\n\n🪙 ${userXPOSURE.toLocaleString()} XPOSURE sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier${timeUntilVote}\n\n🗳️ Vote during voting phase to earn rewards!`
+          `✅ Track entered!\n\n🪙 ${userXPOSURE.toLocaleString()} XPOSURE sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier\n\n🎤 Your track "${payment.title}" is in the competition!${timeUntilVote}\n📝 Send /track to edit its title, genre or cover until voting starts.\n🍀 Good luck!`
         );
       } catch (e) {
         console.error("⚠️ DM error:", e.message);
@@ -1182,7 +2583,7 @@ app.post("/confirm-payment", paymentLimiter, async (req, res) => {
       try {
         await bot.sendMessage(
           `@${MAIN_CHANNEL}`,
-          `💰 +${roundPool.toLocaleString()} XPOSURE added to prize pool!\n🗳️ New voter joined\n\n💎 Current Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
+          `💰 +${roundPool.toLocaleString()} XPOSURE added to prize pool!\n🎤 ${payment.user} entered with "${payment.title}"\n\n💎 Current Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
         );
       } catch (e) {
         console.error("⚠️ Main channel announcement error:", e.message);
@@ -1191,68 +2592,923 @@ app.post("/confirm-payment", paymentLimiter, async (req, res) => {
       try {
         await bot.sendMessage(
           `@${CHANNEL}`,
-          `💰 +${roundPool.toLocaleString()} XPOSURE added!\n🗳️ Voter joined\n\n💎 Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
+          `💰 +${roundPool.toLocaleString()} XPOSURE added!\n🎤 ${payment.user} - "${payment.title}"\n\n💎 Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
         );
       } catch (e) {
         console.error("⚠️ Submissions channel announcement error:", e.message);
       }
     }
+  } else {
+    // Register as voter
+    store.voters.save(cycleStartTime, {
+      ...userData,
+      choice: "vote",
+      votedFor: null
+    });
+    
+    const timeUntilVote = phase === "submission" ? `\n⏰ Voting starts in ${phaseTimeLeft()}!` : "";
+    
+    try {
+      await bot.sendMessage(
+        userId,
+        `✅ Registered as voter!\n\n🪙 ${userXPOSURE.toLocaleString()} XPOSURE sent!\n${tier.badge} ${tier.name} tier (${(retention * 100).toFixed(0)}% retention)\n💰 ${multiplier}x prize multiplier${timeUntilVote}\n\n🗳️ Vote during voting phase to earn rewards!`
+      );
+    } catch (e) {
+      console.error("⚠️ DM error:", e.message);
+    }
+    
+    // Announce to both channels
+    try {
+      await bot.sendMessage(
+        `@${MAIN_CHANNEL}`,
+        `💰 +${roundPool.toLocaleString()} XPOSURE added to prize pool!\n🗳️ New voter joined\n\n💎 Current Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
+      );
+    } catch (e) {
+      console.error("⚠️ Main channel announcement error:", e.message);
+    }
+    
+    try {
+      await bot.sendMessage(
+        `@${CHANNEL}`,
+        `💰 +${roundPool.toLocaleString()} XPOSURE added!\n🗳️ Voter joined\n\n💎 Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`
+      );
+    } catch (e) {
+      console.error("⚠️ Submissions channel announcement error:", e.message);
+    }
+  }
+
+  // Mark as paid
+  payment.paid = true;
+  payment.userData = userData;
+  advanceSettlement(payment, "registered");
+  return null;
+}
+
+// === REFUND: RETURN UN-SWAPPED SOL ===
+async function settleRefund(payment) {
+  const { amount, senderWallet, refundReason } = payment.settlement;
+  const { remainingSOL } = computePaymentSplit(amount);
+  const refundSOL = Math.max(0, remainingSOL - REFUND_NETWORK_FEE_LAMPORTS / LAMPORTS_PER_SOL);
+
+  // Nothing is left once the network fee is held back - close the refund out
+  // instead of re-queuing a transfer that can never be sent
+  if (Math.floor(refundSOL * LAMPORTS_PER_SOL) <= 0) {
+    console.log(`↩️ Refund of ${remainingSOL} SOL is below the network fee - nothing to send`);
+    recordRefund(payment, {
+      type: "sol_refund",
+      amount: 0,
+      unit: "SOL",
+      status: "below_fee",
+      reason: refundReason
+    });
+    advanceSettlement(payment, "refunded", { refundSOL: 0 });
+
+    try {
+      await bot.sendMessage(
+        payment.userId,
+        `❌ Purchase Failed!\n\n⚠️ We received your ${amount} SOL payment, but the XPOSURE token purchase failed.\n\n📝 Reason: ${refundReason}\n↩️ The amount is too small to refund after network fees.\n\nType /start to try again.`
+      );
+    } catch (e) {
+      console.error("⚠️ Failed to send refund message:", e.message);
+    }
+    return null;
+  }
+
+  let refundSig = null;
+  const recovered = await recoverSubmittedStep(payment, "refund");
+  if (recovered === "landed") {
+    refundSig = payment.settlement.submitted.signature;
+  } else {
+    console.log(`↩️ Refunding ${refundSOL.toFixed(4)} SOL to ${senderWallet.substring(0, 8)}...`);
+    refundSig = await sendSOLPayout(senderWallet, refundSOL, "Refund", recordSubmitted(payment, "refund"));
+  }
+
+  if (!refundSig) {
+    const attempts = (payment.settlement.refundAttempts || 0) + 1;
+    payment.settlement.refundAttempts = attempts;
+    payment.settlement.nextRetryAt = Date.now() + Math.min(TRANSFER_REQUEUE_BASE_DELAY * 2 ** (attempts - 1), TRANSFER_REQUEUE_MAX_DELAY);
+    recordRefund(payment, {
+      type: "sol_refund",
+      amount: refundSOL,
+      unit: "SOL",
+      status: "failed",
+      reason: refundReason
+    });
+
+    if (attempts === 1) {
+      try {
+        await bot.sendMessage(
+          payment.userId,
+          `❌ Purchase Failed!\n\n⚠️ We received your ${amount} SOL payment, but the XPOSURE token purchase failed.\n\n↩️ A refund of ${refundSOL.toFixed(4)} SOL is queued and will be retried automatically.`
+        );
+      } catch (e) {
+        console.error("⚠️ Failed to send error message:", e.message);
+      }
+    }
+    return { status: 200, body: { ok: false, error: "XPOSURE purchase failed", refunded: false, xposureAmount: 0 } };
+  }
+
+  recordRefund(payment, {
+    type: "sol_refund",
+    amount: refundSOL,
+    unit: "SOL",
+    status: "sent",
+    signature: refundSig,
+    reason: refundReason
+  });
+  advanceSettlement(payment, "refunded", {
+    refundSOL,
+    signatures: { ...payment.settlement.signatures, refund: refundSig }
+  });
+
+  try {
+    await bot.sendMessage(
+      payment.userId,
+      `❌ Purchase Failed!\n\n⚠️ We received your ${amount} SOL payment, but the XPOSURE token purchase failed.\n\n📝 Reason: ${refundReason}\n↩️ Refunded ${refundSOL.toFixed(4)} SOL to your wallet (minus network fees).\n🔗 https://solscan.io/tx/${refundSig}\n\nType /start to try again.`
+    );
+  } catch (e) {
+    console.error("⚠️ Failed to send refund message:", e.message);
+  }
+
+  console.log("✅ Refund sent - returning error to client\n");
+  return null;
+}
+
+function refundResponse(payment) {
+  return {
+    ok: false,
+    error: "XPOSURE purchase failed",
+    refunded: !!payment.settlement.signatures.refund,
+    refundSOL: payment.settlement.refundSOL,
+    refundSignature: payment.settlement.signatures.refund,
+    xposureAmount: 0
+  };
+}
+
+// === REFUND LEDGER ===
+// One entry per refund or re-queued payout, updated in place as it progresses
+function recordRefund(payment, fields) {
+  const id = `${fields.type}_${payment.reference}`;
+  const existing = store.refunds.find(id);
+
+  const record = existing
+    ? { ...existing, ...fields, updatedAt: Date.now() }
+    : {
+      id,
+      reference: payment.reference,
+      userId: payment.userId,
+      wallet: payment.settlement.senderWallet,
+      ...fields,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+  // The payment's retry bookkeeping is written with its refund record
+  store.transaction(() => {
+    store.refunds.save(record);
+    store.payments.save(payment);
+  });
+
+  console.log(`📒 Refund ledger: ${id} → ${record.status}`);
+}
+
+// === RETRY STALLED SETTLEMENTS ===
+// Re-queued token payouts and failed refunds are retried with backoff
+async function retryStalledSettlements() {
+  const now = Date.now();
+  const due = store.payments.open().filter(p =>
+    isSettlementOpen(p) &&
+    (p.settlement.nextRetryAt || 0) <= now &&
+    (p.settlement.state === "bought" || p.settlement.state === "refund_pending") &&
+    !settlementsInFlight.has(p.reference)
+  );
+
+  for (const payment of due) {
+    console.log(`🔁 Retrying stalled settlement ${payment.reference.substring(0, 8)}... (${payment.settlement.state})`);
+    try {
+      await resumeSettlement(payment);
+    } catch (err) {
+      console.error(`⚠️ Retry failed for ${payment.reference.substring(0, 8)}...: ${err.message}`);
+    }
+  }
+}
+
+setInterval(() => {
+  retryStalledSettlements();
+}, 60 * 1000);
+
+// === REFERENCE WATCHER ===
+// Picks up payments whose redirect page never called /confirm-payment by
+// polling each open reference for a finalized transfer into TREASURY.
+const WATCHER_INTERVAL = 20 * 1000; // Poll every 20 seconds
+let watcherRunning = false;
+
+async function watchPendingReferences() {
+  if (watcherRunning) return;
+  watcherRunning = true;
+
+  try {
+    const open = store.payments.open().filter(p => p.reference && !p.confirmed);
+
+    for (const payment of open) {
+      try {
+        const found = await findReferencePayment(payment.reference, { connection, treasury: TREASURY });
+        if (!found) continue;
+
+        console.log(`👀 Watcher found payment for ${payment.reference.substring(0, 8)}...: ${found.signature.substring(0, 8)}...`);
+
+        const result = await settlePayment({
+          ...found,
+          reference: payment.reference,
+          userId: payment.userId,
+          source: "watcher"
+        });
+
+        if (!result.body.ok) {
+          console.log(`⚠️ Watcher settlement rejected (${result.body.code || result.body.error})`);
+        }
+      } catch (err) {
+        console.error(`⚠️ Watcher error for ${payment.reference.substring(0, 8)}...: ${err.message}`);
+      }
+    }
+  } finally {
+    watcherRunning = false;
+  }
+}
+
+setInterval(() => {
+  watchPendingReferences();
+}, WATCHER_INTERVAL);
+
+// === SOL PAYOUT (for trans fees) ===
+async function sendSOLPayout(destination, amountSOL, reason = "payout", onSubmitted = null) {
+  try {
+    const lamports = Math.floor(amountSOL * 1e9);
+    if (lamports <= 0) return null;
+    
+    const tx = new Transaction().add(
+      SystemProgram.transfer({
+        fromPubkey: TREASURY_KEYPAIR.publicKey,
+        toPubkey: new PublicKey(destination),
+        lamports,
+      })
+    );
+    tx.feePayer = TREASURY_KEYPAIR.publicKey;
+    tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+
+    const sig = await connection.sendTransaction(tx, [TREASURY_KEYPAIR]);
+    if (onSubmitted) onSubmitted(sig);
+    await connection.confirmTransaction(sig, "confirmed");
+    console.log(`💸 ${reason}: ${amountSOL.toFixed(4)} SOL → ${destination.substring(0, 8)}...`);
+    return sig;
+  } catch (err) {
+    console.error(`⚠️ ${reason} failed: ${err.message}`);
+    return null;
+  }
+}
+
+// === BATCHED XPOSURE PAYOUTS ===
+// Packs ATA creations and transfers for several recipients into each
+// transaction, staying under the packet size and compute limits.
+const PAYOUT_BATCH_MAX_TX_BYTES = 1232; // Solana packet limit
+const PAYOUT_BATCH_MAX_RECIPIENTS = 10;
+const PAYOUT_BATCH_MAX_CU = 1_400_000;
+const PAYOUT_CU_TRANSFER = 6000; // ~4.6k measured, with headroom
+const PAYOUT_CU_CREATE_ATA = 30000; // ~25k measured, with headroom
+
+function estimateTransactionSize(tx) {
+  // Message plus one compact-array length byte and one 64-byte signature
+  return tx.serializeMessage().length + 1 + 64;
+}
+
+// Map a failed batch back to the payout whose instruction failed
+function getFailedInstructionIndex(err) {
+  const instructionError = err?.InstructionError;
+  if (instructionError) return instructionError[0];
+
+  const match = String(err?.message || "").match(/Error processing Instruction (\d+)/);
+  return match ? parseInt(match[1]) : null;
+}
+
+async function buildPayoutInstructions(payouts) {
+  const treasuryTokenAccount = await getAssociatedTokenAddress(
+    TOKEN_MINT,
+    TREASURY_KEYPAIR.publicKey
+  );
+
+  const recipientAccounts = await Promise.all(
+    payouts.map(p => getAssociatedTokenAddress(TOKEN_MINT, new PublicKey(p.destination)))
+  );
+  const existing = await connection.getMultipleAccountsInfo(recipientAccounts);
+
+  return payouts.map((payout, i) => {
+    const instructions = [];
+    let computeUnits = PAYOUT_CU_TRANSFER;
+
+    if (!existing[i]) {
+      // Idempotent so two payouts to the same new wallet can share a batch
+      instructions.push(
+        createAssociatedTokenAccountIdempotentInstruction(
+          TREASURY_KEYPAIR.publicKey,
+          recipientAccounts[i],
+          new PublicKey(payout.destination),
+          TOKEN_MINT
+        )
+      );
+      computeUnits += PAYOUT_CU_CREATE_ATA;
+    }
+
+    instructions.push(
+      createTransferInstruction(
+        treasuryTokenAccount,
+        recipientAccounts[i],
+        TREASURY_KEYPAIR.publicKey,
+        Math.floor(payout.amount * 1_000_000) // 6 decimals
+      )
+    );
+
+    return { payout, instructions, computeUnits };
+  });
+}
+
+function buildBatchTransaction(entries, blockhash) {
+  const computeUnits = entries.reduce((sum, e) => sum + e.computeUnits, 0);
+  const tx = new Transaction().add(
+    ComputeBudgetProgram.setComputeUnitLimit({ units: Math.min(Math.ceil(computeUnits * 1.1), PAYOUT_BATCH_MAX_CU) })
+  );
+
+  // Remember which payout owns each instruction index
+  const owners = [null];
+  for (const entry of entries) {
+    for (const ix of entry.instructions) {
+      tx.add(ix);
+      owners.push(entry);
+    }
+  }
+
+  tx.feePayer = TREASURY_KEYPAIR.publicKey;
+  tx.recentBlockhash = blockhash;
+  return { tx, owners, computeUnits };
+}
+
+function packPayoutBatches(entries, blockhash) {
+  const batches = [];
+  let current = [];
+
+  for (const entry of entries) {
+    const candidate = [...current, entry];
+    const { tx, computeUnits } = buildBatchTransaction(candidate, blockhash);
+    const fits =
+      candidate.length <= PAYOUT_BATCH_MAX_RECIPIENTS &&
+      computeUnits * 1.1 <= PAYOUT_BATCH_MAX_CU &&
+      estimateTransactionSize(tx) <= PAYOUT_BATCH_MAX_TX_BYTES;
+
+    if (fits || !current.length) {
+      current = candidate;
+    } else {
+      batches.push(current);
+      current = [entry];
+    }
+  }
+
+  if (current.length) batches.push(current);
+  return batches;
+}
+
+// Sends one batch and settles its outcome:
+//   { ok: true, signature }
+//   { ok: false, failed, error } - nothing was paid; `failed` is the entry
+//     that broke the batch, if one can be identified
+//   { ok: false, unknown: true, signature, error } - submitted, but the RPC
+//     can't tell whether it landed. Must not be re-sent.
+async function sendPayoutBatch(entries, onSubmitted = null) {
+  const { blockhash } = await connection.getLatestBlockhash();
+  const { tx, owners } = buildBatchTransaction(entries, blockhash);
+  const failedEntry = (err) => owners[getFailedInstructionIndex(err)] || null;
+
+  let sig;
+  try {
+    sig = await connection.sendTransaction(tx, [TREASURY_KEYPAIR]);
+  } catch (err) {
+    // Rejected in preflight - nothing went out
+    return { ok: false, failed: failedEntry(err), error: err.message };
+  }
+  const submittedAt = Date.now();
+  if (onSubmitted) onSubmitted(entries.map(e => e.payout), sig);
+  console.log(`📤 Payout batch sent (${entries.length} recipients): ${sig.substring(0, 8)}...`);
+  console.log(`🔗 https://solscan.io/tx/${sig}`);
+
+  try {
+    const confirmation = await connection.confirmTransaction(sig, "confirmed");
+    if (confirmation.value?.err) {
+      return { ok: false, failed: failedEntry(confirmation.value.err), error: JSON.stringify(confirmation.value.err) };
+    }
+    return { ok: true, signature: sig };
+  } catch (err) {
+    // A confirmation timeout says nothing about whether the transaction landed
+    console.warn(`⏳ Payout batch ${sig.substring(0, 8)}... unconfirmed (${err.message}) - checking its status`);
+  }
+
+  try {
+    const outcome = await resolveSubmittedSignature({ signature: sig, submittedAt });
+    if (outcome === "landed") return { ok: true, signature: sig };
+    if (outcome === "dropped") return { ok: false, failed: null, error: "Transaction dropped" };
+
+    const { value } = await connection.getSignatureStatus(sig, { searchTransactionHistory: true });
+    return { ok: false, failed: failedEntry(value?.err), error: JSON.stringify(value?.err) };
+  } catch (err) {
+    return { ok: false, unknown: true, signature: sig, error: err.message };
+  }
+}
+
+// Pays every { destination, amount, reason } and reports the outcome of each.
+// A recipient that breaks its batch is pulled out and retried on its own;
+// the rest of that batch is re-packed and sent again. Only batches known not
+// to have landed are retried: if the outcome can't be determined, its payouts
+// come back with pending: true and the signature. onSubmitted(payouts, sig)
+// fires as each transaction goes out, before it is confirmed.
+async function sendXPOSUREPayoutBatch(payouts, onSubmitted = null) {
+  const valid = payouts.filter(p => p.destination && p.amount > 0);
+  if (!valid.length) return [];
+
+  console.log(`\n💸 ========== BATCH PAYOUT ==========`);
+  console.log(`👥 ${valid.length} recipients, ${valid.reduce((sum, p) => sum + p.amount, 0).toLocaleString()} XPOSURE`);
+
+  const results = [];
+  const isolated = [];
+  let queue = await buildPayoutInstructions(valid);
+  let batchNumber = 0;
+
+  while (queue.length) {
+    const { blockhash } = await connection.getLatestBlockhash();
+    const batches = packPayoutBatches(queue, blockhash);
+    queue = [];
+
+    for (const batch of batches) {
+      batchNumber++;
+      const outcome = await sendPayoutBatch(batch, onSubmitted);
+
+      if (outcome.unknown) {
+        console.error(`⏳ Payout batch #${batchNumber} unresolved (${outcome.error}) - left for recovery`);
+        for (const entry of batch) {
+          results.push({ ...entry.payout, ok: false, pending: true, signature: outcome.signature, batch: batchNumber });
+        }
+        continue;
+      }
+
+      if (outcome.ok) {
+        for (const entry of batch) {
+          console.log(`✅ ${entry.payout.reason}: ${entry.payout.amount.toLocaleString()} XPOSURE → ${entry.payout.destination.substring(0, 8)}...`);
+          results.push({ ...entry.payout, ok: true, signature: outcome.signature, batch: batchNumber });
+        }
+        continue;
+      }
+
+      console.error(`❌ Payout batch #${batchNumber} failed: ${outcome.error}`);
+
+      if (outcome.failed && batch.length > 1) {
+        console.error(`❌ Failing recipient: ${outcome.failed.payout.destination.substring(0, 8)}... (${outcome.failed.payout.reason})`);
+        isolated.push(outcome.failed);
+        queue.push(...batch.filter(e => e !== outcome.failed));
+      } else {
+        // Can't tell who broke it (or it was alone) - pay each one individually
+        isolated.push(...batch);
+      }
+    }
+  }
+
+  for (const entry of isolated) {
+    const { payout } = entry;
+    console.log(`🔁 Retrying ${payout.reason} individually...`);
+    const outcome = await sendPayoutBatch([entry], onSubmitted);
+    if (!outcome.ok) console.error(`⚠️ ${payout.reason} ${outcome.unknown ? "unresolved" : "failed"}: ${outcome.error}`);
+    results.push({
+      ...payout,
+      ok: outcome.ok,
+      pending: !!outcome.unknown,
+      signature: outcome.signature || null,
+      batch: null,
+      retriedAlone: true
+    });
+  }
+
+  const failed = results.filter(r => !r.ok && !r.pending);
+  const pending = results.filter(r => r.pending);
+  console.log(`💸 Batch payout done: ${results.filter(r => r.ok).length}/${results.length} paid in ${batchNumber} batch(es)`);
+  if (failed.length) {
+    console.error(`⚠️ Unpaid: ${failed.map(f => `${f.reason} → ${f.destination.substring(0, 8)}...`).join(", ")}`);
+  }
+  if (pending.length) {
+    console.error(`⏳ Unresolved: ${pending.map(f => `${f.reason} → ${f.destination.substring(0, 8)}...`).join(", ")}`);
+  }
+  console.log(`💸 ===================================\n`);
+
+  return results;
+}
+
+// === PAYOUT QUEUE ===
+// Every prize payout is written here before anything is sent, retried with
+// backoff, and only marked confirmed once its transaction confirms. Payouts
+// that exhaust their attempts stay as "failed" for an operator to replay.
+const PAYOUT_QUEUE_INTERVAL = 60 * 1000; // Process every minute
+const PAYOUT_RETRY_BASE_DELAY = 30 * 1000; // 30s, 1m, 2m, 4m, 8m...
+const PAYOUT_MAX_ATTEMPTS = 6;
+let payoutQueueRunning = false;
+
+// `ledger` lists where the payout is funded from and booked to:
+// [{ from: "treasury:round_pool", to: "out:prizes", amount }]. It is moved to
+// treasury:payable now and booked to its "out:" account once confirmed.
+function enqueuePayout({ kind = "xposure", destination, amount, reason, userId = null, message = null, ledger = [] }) {
+  const item = {
+    id: `po_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+    kind,
+    destination,
+    amount,
+    reason,
+    userId,
+    message,
+    round: cycleStartTime,
+    ledger,
+    status: "queued",
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    signature: null,
+    lastError: null,
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+
+  store.transaction(() => {
+    for (const split of ledger) {
+      transferLedger(`${reason} owed`, split.from, LEDGER_ACCOUNTS.PAYABLE, split.amount, { ref: item.id });
+    }
+    store.payouts.save(item);
+  });
+  console.log(`📥 Queued ${reason}: ${amount.toLocaleString()} ${kind === "sol" ? "SOL" : "XPOSURE"} → ${destination.substring(0, 8)}... (${item.id})`);
+  return item;
+}
+
+function markPayoutConfirmed(item, signature) {
+  Object.assign(item, { status: "confirmed", signature, lastError: null, updatedAt: Date.now() });
+  delete item.submitted;
+
+  store.transaction(() => {
+    for (const split of item.ledger || []) {
+      transferLedger(`${item.reason} paid`, LEDGER_ACCOUNTS.PAYABLE, split.to, split.amount, { ref: item.id });
+    }
+    store.payouts.save(item);
+  });
+}
+
+// Keeps item.submitted: the transaction may still land, so the next attempt
+// settles it first (see settleSubmittedPayout)
+function markPayoutFailed(item, error) {
+  item.attempts++;
+  item.lastError = error;
+  item.updatedAt = Date.now();
+
+  if (item.attempts >= PAYOUT_MAX_ATTEMPTS) {
+    item.status = "failed";
+    console.error(`🚨 Payout ${item.id} (${item.reason}) failed ${item.attempts} times - needs operator replay`);
+  } else {
+    item.status = "queued";
+    item.nextAttemptAt = Date.now() + PAYOUT_RETRY_BASE_DELAY * 2 ** (item.attempts - 1);
+  }
+  store.payouts.save(item);
+}
+
+// Settles a payout from the last transaction it submitted, before anything is
+// sent again: "paid" if it landed, "retry" once it can no longer land (or none
+// went out), "wait" while the RPC can't tell
+async function settleSubmittedPayout(item) {
+  if (!item.submitted) return "retry";
+
+  let outcome;
+  try {
+    outcome = await resolveSubmittedSignature(item.submitted);
+  } catch (err) {
+    console.error(`⏳ Payout ${item.id}: can't check ${item.submitted.signature.substring(0, 8)}... (${err.message}) - waiting`);
+    return "wait";
+  }
+
+  console.log(`🔁 Payout ${item.id}: earlier transaction ${outcome}`);
+  if (outcome === "landed") {
+    markPayoutConfirmed(item, item.submitted.signature);
+    return "paid";
+  }
+  delete item.submitted;
+  store.payouts.save(item);
+  return "retry";
+}
+
+// A payout left "sending" by a crash or an unresolved batch; it stays
+// "sending" until its transaction is settled
+async function recoverSendingPayout(item) {
+  if (await settleSubmittedPayout(item) === "retry") {
+    item.status = "queued";
+    store.payouts.save(item);
+  }
+}
+
+async function notifyPayout(item) {
+  if (!item.userId || !item.message) return;
+  try {
+    await bot.sendMessage(item.userId, item.message);
+  } catch {}
+}
+
+async function processPayoutQueue() {
+  if (payoutQueueRunning) return;
+  payoutQueueRunning = true;
+
+  try {
+    const now = Date.now();
+
+    for (const item of store.payouts.list("sending")) {
+      await recoverSendingPayout(item);
+      if (item.status === "confirmed") await notifyPayout(item);
+    }
 
-    // Mark as paid
-    if (payment) {
-      payment.paid = true;
-      payment.userData = userData;
+    const due = [];
+    for (const item of store.payouts.list("queued").filter(i => i.nextAttemptAt <= now)) {
+      // Never re-send while an earlier attempt might still land
+      const settled = await settleSubmittedPayout(item);
+      if (settled === "paid") await notifyPayout(item);
+      if (settled === "retry") due.push(item);
     }
+    if (due.length) {
+      console.log(`📤 Processing ${due.length} queued payout(s)...`);
 
-    saveState();
+      store.transaction(() => {
+        for (const item of due) {
+          item.status = "sending";
+          item.updatedAt = now;
+          store.payouts.save(item);
+        }
+      });
 
-    console.log("✅ Payment processing complete - returning success to client\n");
-    res.json({ ok: true, xposureAmount: userXPOSURE });
-  } catch (err) {
-    console.error(`\n💥 FATAL ERROR in confirm-payment: ${err.message}`);
-    console.error(err.stack);
-    res.status(500).json({ error: "Internal error" });
-  }
-});
+      // XPOSURE payouts go out in batches
+      const tokenItems = due.filter(i => i.kind === "xposure");
+      const byId = new Map(tokenItems.map(i => [i.id, i]));
+      const results = await sendXPOSUREPayoutBatch(
+        tokenItems.map(i => ({ destination: i.destination, amount: i.amount, reason: i.reason, queueId: i.id })),
+        (payouts, sig) => {
+          store.transaction(() => {
+            for (const p of payouts) {
+              const item = byId.get(p.queueId);
+              item.submitted = { signature: sig, submittedAt: Date.now() };
+              store.payouts.save(item);
+            }
+          });
+        }
+      );
 
-// === SOL PAYOUT (for trans fees) ===
-async function sendSOLPayout(destination, amountSOL, reason = "payout") {
-  try {
-    const lamports = Math.floor(amountSOL * 1e9);
-    if (lamports <= 0) return;
-    
-    const tx = new Transaction().add(
-      SystemProgram.transfer({
-        fromPubkey: TREASURY_KEYPAIR.publicKey,
-        toPubkey: new PublicKey(destination),
-        lamports,
-      })
-    );
-    tx.feePayer = TREASURY_KEYPAIR.publicKey;
-    tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+      for (const result of results) {
+        const item = byId.get(result.queueId);
+        if (result.ok) {
+          markPayoutConfirmed(item, result.signature);
+          await notifyPayout(item);
+        } else if (result.pending) {
+          // Stays "sending" with its signature until recoverSendingPayout settles it
+          continue;
+        } else {
+          markPayoutFailed(item, "Transfer failed");
+        }
+      }
 
-    const sig = await connection.sendTransaction(tx, [TREASURY_KEYPAIR]);
-    await connection.confirmTransaction(sig, "confirmed");
-    console.log(`💸 ${reason}: ${amountSOL.toFixed(4)} SOL → ${destination.substring(0, 8)}...`);
+      // SOL payouts go one by one
+      for (const item of due.filter(i => i.kind === "sol")) {
+        const sig = await sendSOLPayout(item.destination, item.amount, item.reason, (txSig) => {
+          item.submitted = { signature: txSig, submittedAt: Date.now() };
+          store.payouts.save(item);
+        });
+
+        if (sig) {
+          markPayoutConfirmed(item, sig);
+          await notifyPayout(item);
+        } else {
+          markPayoutFailed(item, "SOL transfer failed");
+        }
+      }
+    }
   } catch (err) {
-    console.error(`⚠️ ${reason} failed: ${err.message}`);
+    console.error(`⚠️ Payout queue error: ${err.message}`);
+  } finally {
+    payoutQueueRunning = false;
   }
 }
 
-// === XPOSURE TOKEN PAYOUT ===
-async function sendXPOSUREPayout(destination, amountXPOSURE, reason = "payout") {
-  try {
-    console.log(`💸 ${reason}: ${amountXPOSURE.toLocaleString()} XPOSURE → ${destination.substring(0, 8)}...`);
-    
-    const success = await transferTokensToRecipient(amountXPOSURE, destination);
-    
-    if (!success) {
-      console.error(`⚠️ ${reason} failed!`);
+setInterval(() => {
+  processPayoutQueue();
+}, PAYOUT_QUEUE_INTERVAL);
+
+// === FAILED PAYOUT REPORT ===
+function getFailedPayoutReport() {
+  const stuck = store.payouts.list("failed", "queued").filter(i => i.status === "failed" || i.attempts > 0);
+  return {
+    generatedAt: new Date().toISOString(),
+    failed: stuck.filter(i => i.status === "failed").length,
+    retrying: stuck.filter(i => i.status === "queued").length,
+    totalXPOSURE: stuck.filter(i => i.kind === "xposure").reduce((sum, i) => sum + i.amount, 0),
+    totalSOL: stuck.filter(i => i.kind === "sol").reduce((sum, i) => sum + i.amount, 0),
+    payouts: stuck.map(i => ({
+      id: i.id,
+      kind: i.kind,
+      status: i.status,
+      reason: i.reason,
+      destination: i.destination,
+      amount: i.amount,
+      userId: i.userId,
+      round: i.round,
+      attempts: i.attempts,
+      lastError: i.lastError,
+      nextAttemptAt: i.status === "queued" ? i.nextAttemptAt : null,
+      createdAt: i.createdAt
+    }))
+  };
+}
+
+// Puts a failed payout back in the queue for an immediate attempt
+function replayPayout(id) {
+  const item = store.payouts.find(id);
+  if (!item) return { ok: false, error: "Payout not found" };
+  if (item.status === "confirmed") return { ok: false, error: "Payout already confirmed" };
+  if (item.status === "sending") return { ok: false, error: "Payout is being sent" };
+
+  Object.assign(item, { status: "queued", attempts: 0, nextAttemptAt: Date.now(), updatedAt: Date.now() });
+  store.payouts.save(item);
+  console.log(`🔁 Payout ${id} replayed by operator`);
+  return { ok: true, payout: item };
+}
+
+// === END ROUND ===
+// Closes the round row and moves finished payments out of the working set.
+// Entries, voters and votes stay in the database as the round's history.
+function endRound() {
+  store.transaction(() => {
+    for (const payment of store.payments.open()) {
+      if (!isSettlementOpen(payment)) store.payments.setStatus(payment.reference, "closed"); // Keep payments still settling
     }
-    
-  } catch (err) {
-    console.error(`⚠️ ${reason} failed: ${err.message}`);
+    if (cycleStartTime) store.rounds.close(cycleStartTime);
+  });
+}
+
+// === ROUND ARCHIVE ===
+// Past results for GET /rounds and /history. Payout status and signatures are
+// read live from the payout queue, so a retried payout shows once it lands.
+function payoutView(item) {
+  return {
+    id: item.id,
+    reason: item.reason,
+    destination: item.destination,
+    amount: item.amount,
+    unit: item.kind === "sol" ? "SOL" : "XPOSURE",
+    status: item.status,
+    signature: item.signature,
+    explorer: item.signature ? `https://solscan.io/tx/${item.signature}` : null
+  };
+}
+
+function roundSummary(round, results) {
+  const winner = round.closed_at ? results?.entries[0] : null; // No winner while still running
+  return {
+    id: round.id,
+    startedAt: new Date(round.started_at).toISOString(),
+    closedAt: round.closed_at ? new Date(round.closed_at).toISOString() : null,
+    entries: results ? results.entries.length : 0,
+    voters: results ? results.voters : 0,
+    prizePool: results ? results.prizePool : 0,
+    bonus: results ? results.bonus : 0,
+    winner: winner ? { user: winner.user, title: winner.title, votes: winner.votes, prize: winner.prize } : null
+  };
+}
+
+function listRounds({ limit, before } = {}) {
+  return store.rounds.listClosed({ limit, before }).map(round => roundSummary(round, round.results));
+}
+
+// Full record of one round; a round still running shows its standings so far
+// Standing of a round that hasn't been archived yet, ranked exactly as it will
+// be at close. Co-ranked entries share a rank; until the draw seed is revealed
+// their order among themselves is provisional.
+function liveStanding(id, round) {
+  const entries = store.entries.list(id).filter(e => e.choice === "upload" && e.paid && !e.disqualified);
+  const seed = store.draws.get(id)?.blockhash || "";
+
+  return rankEntries(tallyEntries(id, entries, round.voting_mode || "one"), seed)
+    .map(e => ({
+      rank: e.rank,
+      position: e.position,
+      user: e.user,
+      title: e.title,
+      tier: e.tier,
+      tierBadge: e.tierBadge,
+      multiplier: e.multiplier,
+      votes: e.votes,
+      score: e.score,
+      prize: 0
+    }));
+}
+
+function getRoundRecord(id) {
+  const round = store.rounds.get(id);
+  if (!round) return null;
+
+  const results = store.rounds.results(id) || {
+    roundPool: id === cycleStartTime ? treasuryXPOSURE : 0,
+    prizePool: 0,
+    voterPool: 0,
+    bonus: 0,
+    entries: liveStanding(id, round),
+    voters: store.voters.list(id).length,
+    winnerVoters: 0
+  };
+
+  return {
+    ...roundSummary(round, results),
+    phase: round.closed_at ? "closed" : round.phase,
+    roundPool: results.roundPool,
+    voterPool: results.voterPool,
+    winnerVoters: results.winnerVoters,
+    standings: results.entries.map(({ userId, ...entry }) => entry), // Telegram IDs stay private
+    payouts: store.payouts.listByRound(id).map(payoutView),
+    votingMode: round.voting_mode || "one",
+    bonusDraw: verifyBonusDraw(id) // Seed is only included once revealed
+  };
+}
+
+// === LEADERBOARD & PROFILES ===
+// All-time stats per user, rebuilt from the archived rounds on each request
+const TIER_RANK = [TIERS.BASIC, TIERS.MID, TIERS.HIGH, TIERS.WHALE].map(t => t.name);
+const LEADERBOARD_SORTS = {
+  wins: ["wins", "podiums", "votes"],
+  podiums: ["podiums", "wins", "votes"],
+  votes: ["votes", "wins", "podiums"],
+  earned: ["earned", "wins", "votes"]
+};
+
+function buildUserStats() {
+  const stats = new Map();
+
+  const statsFor = (userId, user) => {
+    let s = stats.get(userId);
+    if (!s) {
+      s = { userId, user: null, tracks: 0, wins: 0, podiums: 0, votes: 0, earned: 0, bestTier: null, bestTierBadge: null };
+      stats.set(userId, s);
+    }
+    if (user) s.user = user; // Latest known name wins
+    return s;
+  };
+  const noteTier = (s, tier, badge) => {
+    if (tier && TIER_RANK.indexOf(tier) > TIER_RANK.indexOf(s.bestTier)) {
+      s.bestTier = tier;
+      s.bestTierBadge = badge;
+    }
+  };
+
+  for (const round of store.rounds.allResults()) {
+    for (const e of round.entries) {
+      const s = statsFor(String(e.userId), e.user);
+      s.tracks++;
+      s.votes += e.votes;
+      if (e.rank === 1) s.wins++;
+      if (e.rank <= 3) s.podiums++;
+      noteTier(s, e.tier, e.tierBadge);
+    }
+  }
+  for (const v of store.voters.listClosed()) {
+    noteTier(statsFor(String(v.userId), v.user), v.tier, v.tierBadge);
+  }
+  for (const { userId, total } of store.payouts.totalsByUser()) {
+    statsFor(String(userId)).earned += total;
   }
+
+  return [...stats.values()];
+}
+
+function getLeaderboard({ sort = "wins", limit = 10 } = {}) {
+  const keys = LEADERBOARD_SORTS[sort] || LEADERBOARD_SORTS.wins;
+  return buildUserStats()
+    .filter(s => s.tracks > 0) // Artists only
+    .sort((a, b) => {
+      for (const key of keys) {
+        if (b[key] !== a[key]) return b[key] - a[key];
+      }
+      return 0;
+    })
+    .slice(0, limit);
+}
+
+// Looks a user up by "@username" (or display name), or by Telegram ID
+function getProfile({ user, userId }) {
+  const name = user?.replace(/^@/, "").toLowerCase();
+  return buildUserStats().find(s =>
+    userId ? s.userId === String(userId) : s.user?.replace(/^@/, "").toLowerCase() === name
+  ) || null;
+}
+
+// Public shape of a user's stats - Telegram IDs stay private
+function profileView({ userId, ...stats }) {
+  return stats;
 }
 
 // === START NEW CYCLE ===
@@ -1260,138 +3516,388 @@ async function startNewCycle() {
   console.log("🔄 Starting new cycle...");
   
   // CRITICAL: Ensure complete state reset
-  participants = [];
-  voters = [];
-  pendingPayments = [];
+  endRound();
   phase = "submission";
   cycleStartTime = Date.now();
-  nextPhaseTime = cycleStartTime + 12 * 60 * 60 * 1000; // 12 hours for submission
+  nextPhaseTime = cycleStartTime + SCHEDULE.submission;
   // Note: treasuryXPOSURE and actualTreasuryBalance are NOT reset (they persist/grow)
-  saveState();
+  store.rounds.start(cycleStartTime, phase, nextPhaseTime, VOTE_POLICY.defaultMode);
+  const bonusCommitment = commitBonusDraw(cycleStartTime);
 
-  const botUsername = process.env.BOT_USERNAME || '@xposure_overlord_bot';
   const treasuryBonus = calculateTreasuryBonus();
   
   const prizePoolText = treasuryXPOSURE === 0 && actualTreasuryBalance === 0 ? "Loading..." : `${treasuryXPOSURE.toLocaleString()} XPOSURE`;
   const bonusPrizeText = actualTreasuryBalance === 0 ? "Loading..." : `+${treasuryBonus.toLocaleString()} XPOSURE (1/500)`;
   
-  console.log(`🎬 NEW CYCLE: Submission phase (12 hours), Round pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE, Bonus: ${treasuryBonus.toLocaleString()} XPOSURE`);
+  console.log(`🎬 NEW CYCLE: Submission phase (${formatCountdown(SCHEDULE.submission)}), Round pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE, Bonus: ${treasuryBonus.toLocaleString()} XPOSURE`);
   
   try {
-    const botMention = botUsername.startsWith('@') ? botUsername : `@${botUsername}`;
+    const botMention = `@${BOT_USERNAME}`;
     
     await bot.sendMessage(
       `@${MAIN_CHANNEL}`,
-      `🎬 NEW ROUND STARTED!\n\n💰 Prize Pool: Loading...\n🎰 Bonus Prize: ${bonusPrizeText}\n⏰ 12 hours to submit tracks!\n\n🎮 How to Play:\n1️⃣ Open ${botMention}\n2️⃣ Type /start\n3️⃣ Choose your path:\n   🎤 Upload track & compete for prizes\n   🗳️ Vote only & earn rewards\n4️⃣ Buy XPOSURE tokens (0.01 SOL minimum)\n5️⃣ Win XPOSURE prizes! 🏆\n\n🚀 Start now!`
+      `🎬 NEW ROUND STARTED!\n\n💰 Prize Pool: Loading...\n🎰 Bonus Prize: ${bonusPrizeText}\n⏰ ${formatCountdown(SCHEDULE.submission)} to submit tracks!\n\n🎮 How to Play:\n1️⃣ Open ${botMention}\n2️⃣ Type /start\n3️⃣ Choose your path:\n   🎤 Upload track & compete for prizes\n   🗳️ Vote only & earn rewards\n4️⃣ Buy XPOSURE tokens (0.01 SOL minimum)\n5️⃣ Win XPOSURE prizes! 🏆\n\n🔐 Bonus draw commitment:\n${bonusCommitment}\n\n🚀 Start now!`
     );
     console.log("✅ Posted cycle start to main channel");
   } catch (err) {
     console.error("❌ Failed to announce:", err.message);
   }
+}
+
+// === VOTE POLICY ===
+// Only paid voters and entrants of the current round vote, never for their own
+// track, and only while the voting phase is open. Each round counts votes under
+// one of VOTING_MODES, fixed when voting starts:
+//   one       - one ballot per voter, every ballot counts 1
+//   stake     - one ballot per voter, weighted by the SOL the voter paid in
+//   quadratic - voters spread credits over tracks; n votes on a track cost n²
+//   ranked    - voters rank their top RANKED_PICKS in a DM ballot, counted by
+//               instant-runoff or Borda (RANKED_METHOD)
+// A ranked ballot is stored as vote rows whose count is its Borda points:
+// RANKED_PICKS for the first choice down to 1 for the last.
+
+const VOTE_POLICY = {
+  allowBallotChanges: process.env.ALLOW_BALLOT_CHANGES === "true", // Re-voting moves the ballot instead of being refused
+  defaultMode: process.env.VOTING_MODE || "one", // Mode for new rounds; /admin mode changes the current one
+  quadraticCredits: scheduleSetting("QUADRATIC_CREDITS", 9),
+  rankedMethod: process.env.RANKED_METHOD || "irv" // "irv" (instant-runoff) or "borda"
+};
+if (!VOTING_MODES[VOTE_POLICY.defaultMode]) {
+  throw new Error(`VOTING_MODE must be one of: ${Object.keys(VOTING_MODES).join(", ")}`);
+}
+if (!["irv", "borda"].includes(VOTE_POLICY.rankedMethod)) {
+  throw new Error(`RANKED_METHOD must be "irv" or "borda"`);
+}
+
+function roundVotingMode(roundId = cycleStartTime) {
+  return store.rounds.get(roundId)?.voting_mode || "one";
+}
+
+function isEligibleVoter(userId) {
+  const voter = store.voters.find(cycleStartTime, userId);
+  const entrant = store.entries.find(cycleStartTime, userId);
+  return !!(voter?.paid || entrant?.paid);
+}
+
+// Returns { ok: true, entry, previous } or { ok: false, error }
+function castVote(voterId, entryUserId) {
+  if (phase !== "voting" || !cycleStartTime) {
+    return { ok: false, error: "Voting is closed" };
+  }
+
+  const entry = store.entries.find(cycleStartTime, entryUserId);
+  if (!entry || entry.choice !== "upload" || !entry.paid) {
+    return { ok: false, error: "Track not found" };
+  }
+  if (entry.disqualified) {
+    return { ok: false, error: "This track was removed from the round" };
+  }
+  if (voterId === entryUserId) {
+    return { ok: false, error: "You can't vote for your own track" };
+  }
+  if (!isEligibleVoter(voterId)) {
+    return { ok: false, error: "Only paid voters and entrants can vote - type /start in the bot to join" };
+  }
+
+  if (roundVotingMode() === "quadratic") {
+    return castQuadraticVote(voterId, entryUserId);
+  }
+  if (roundVotingMode() === "ranked") {
+    return { ok: false, error: "This round uses ranked ballots - send /ballot to the bot" };
+  }
+
+  return store.transaction(() => {
+    const ballot = store.votes.ballot(cycleStartTime, voterId);
+    if (ballot?.entry_user_id === entryUserId) {
+      return { ok: false, error: "Already voted for this track" };
+    }
+    if (ballot && !VOTE_POLICY.allowBallotChanges) {
+      return { ok: false, error: "You already voted this round" };
+    }
+
+    if (ballot) store.votes.remove(cycleStartTime, voterId);
+    store.votes.record(cycleStartTime, voterId, entryUserId);
+
+    const voter = store.voters.find(cycleStartTime, voterId);
+    if (voter) {
+      voter.votedFor = entryUserId;
+      store.voters.save(cycleStartTime, voter);
+    }
+
+    return {
+      ok: true,
+      entry: store.entries.find(cycleStartTime, entryUserId),
+      previous: ballot ? store.entries.find(cycleStartTime, ballot.entry_user_id) : null
+    };
+  });
+}
+
+// Each call adds one vote on the track, paid for from the voter's credits
+function castQuadraticVote(voterId, entryUserId) {
+  return store.transaction(() => {
+    const current = store.votes.count(cycleStartTime, voterId, entryUserId);
+    const cost = 2 * current + 1; // (n + 1)² - n²
+    const left = VOTE_POLICY.quadraticCredits - store.votes.creditsUsed(cycleStartTime, voterId);
+    if (cost > left) {
+      return { ok: false, error: `Not enough credits - ${left} left, vote #${current + 1} on this track costs ${cost}` };
+    }
+
+    store.votes.increment(cycleStartTime, voterId, entryUserId);
+
+    const voter = store.voters.find(cycleStartTime, voterId);
+    if (voter) {
+      voter.votedFor = entryUserId; // Latest pick; rewards read every vote row
+      store.voters.save(cycleStartTime, voter);
+    }
+
+    return {
+      ok: true,
+      entry: store.entries.find(cycleStartTime, entryUserId),
+      previous: null,
+      note: `${current + 1} vote${current ? "s" : ""} on this track · ${left - cost} credit${left - cost !== 1 ? "s" : ""} left`
+    };
+  });
+}
+
+// picks: entry user IDs, first choice first. Replaces the voter's ballot when
+// ballot changes are allowed.
+function castRankedBallot(voterId, picks) {
+  if (phase !== "voting" || !cycleStartTime || roundVotingMode() !== "ranked") {
+    return { ok: false, error: "Ranked voting is not open" };
+  }
+  if (!isEligibleVoter(voterId)) {
+    return { ok: false, error: "Only paid voters and entrants can vote - type /start in the bot to join" };
+  }
+  if (!picks.length || picks.length > RANKED_PICKS || new Set(picks).size !== picks.length) {
+    return { ok: false, error: `Rank between 1 and ${RANKED_PICKS} different tracks` };
+  }
+  if (picks.includes(voterId)) {
+    return { ok: false, error: "You can't vote for your own track" };
+  }
 
-  setTimeout(() => startVoting(), 12 * 60 * 60 * 1000);
+  const entries = picks.map(id => store.entries.find(cycleStartTime, id));
+  if (entries.some(e => !e || e.choice !== "upload" || !e.paid || e.disqualified)) {
+    return { ok: false, error: "A track on your ballot left the round - send /ballot to start over" };
+  }
+
+  return store.transaction(() => {
+    const previous = store.votes.ballot(cycleStartTime, voterId);
+    if (previous && !VOTE_POLICY.allowBallotChanges) {
+      return { ok: false, error: "You already voted this round" };
+    }
+
+    store.votes.remove(cycleStartTime, voterId);
+    picks.forEach((id, i) => store.votes.record(cycleStartTime, voterId, id, RANKED_PICKS - i));
+
+    const voter = store.voters.find(cycleStartTime, voterId);
+    if (voter) {
+      voter.votedFor = picks[0];
+      store.voters.save(cycleStartTime, voter);
+    }
+
+    return { ok: true, entries, replaced: !!previous };
+  });
+}
+
+// Weighted total in the round's mode: "🔥 5", "🔥 5 · ⚖️ 1.250 SOL", "🔥 7 votes · 3 voters"
+function formatTally(t, mode) {
+  if (mode === "stake") return `🔥 ${t.votes} · ⚖️ ${(t.stake / LAMPORTS_PER_SOL).toFixed(3)} SOL`;
+  if (mode === "quadratic") return `🔥 ${t.weight} vote${t.weight !== 1 ? "s" : ""} · ${t.votes} voter${t.votes !== 1 ? "s" : ""}`;
+  if (mode === "ranked") {
+    const ballots = `${t.votes} ballot${t.votes !== 1 ? "s" : ""}`;
+    return VOTE_POLICY.rankedMethod === "borda"
+      ? `🏅 ${t.weight} pts · ${ballots}`
+      : `🗳️ ${t.runoffVotes} in runoff round ${t.runoffRound} · ${ballots}`;
+  }
+  return `🔥 ${t.votes}`;
+}
+
+// "🎤 Artist — Title (@uploader)" plus the genre tag, if set
+function trackHeadline(entry) {
+  const credit = entry.artist && entry.artist !== entry.user ? ` (${entry.user})` : "";
+  const genre = entry.genre ? `\n🏷️ #${entry.genre.replace(/[^\p{L}\p{N}]/gu, "")}` : "";
+  return `${entry.tierBadge} ${entry.artist || entry.user} — ${entry.title}${credit}${genre}`;
+}
+
+function voteCaption(entry) {
+  const mode = roundVotingMode();
+  if (mode === "ranked") {
+    return `${trackHeadline(entry)}\n🗳️ Rank your top ${RANKED_PICKS} in the bot`;
+  }
+  const [tally] = tallyEntries(cycleStartTime, [entry], mode);
+  return `${trackHeadline(entry)}\n${formatTally(tally, mode)}`;
 }
 
 // === VOTING ===
 async function startVoting() {
-  console.log(`📋 Starting voting — Uploaders: ${participants.filter(p => p.choice === "upload" && p.paid).length}`);
-  
-  const uploaders = participants.filter((p) => p.choice === "upload" && p.paid);
+  const uploaders = competingEntries();
+  console.log(`📋 Starting voting — Uploaders: ${uploaders.length}`);
   
   if (!uploaders.length) {
     console.log("🚫 No uploads this round");
     
+    phase = "cooldown";
+    nextPhaseTime = nextRoundStart();
+    saveRound();
+    
     try {
       await bot.sendMessage(
         `@${MAIN_CHANNEL}`,
-        `⏰ No tracks submitted this round.\n\n💰 ${treasuryXPOSURE.toLocaleString()} XPOSURE carries over!\n\n🎮 New round starting in 1 minute...`
+        `⏰ No tracks submitted this round.\n\n💰 ${treasuryXPOSURE.toLocaleString()} XPOSURE carries over!\n\n🎮 New round starting in ${phaseTimeLeft()}...`
       );
     } catch {}
-    
-    phase = "cooldown";
-    saveState();
-    setTimeout(() => startNewCycle(), 60 * 1000);
     return;
   }
 
   phase = "voting";
-  const votingDuration = calculateVotingTime();
-  const votingMinutes = Math.ceil(votingDuration / 60000);
-  nextPhaseTime = Date.now() + votingDuration;
-  saveState();
+  nextPhaseTime = Date.now() + SCHEDULE.voting;
+  saveRound();
+  const votingTime = formatCountdown(SCHEDULE.voting);
+  const votingMode = roundVotingMode();
+  const modeText = {
+    quadratic: `⚖️ Quadratic voting: ${VOTE_POLICY.quadraticCredits} credits each - tap 🔥 again to add votes (n votes on one track cost n²)`,
+    ranked: `⚖️ Ranked choice: rank your top ${RANKED_PICKS} in a private ballot - tap 🗳️ under any track`
+  }[votingMode] || `⚖️ Voting: ${VOTING_MODES[votingMode].name}`;
+  const voteButton = (p) => votingMode === "ranked"
+    ? { text: "🗳️ Rank tracks", url: ballotLink() }
+    : { text: "🔥 Vote", callback_data: `vote_${p.userId}` };
 
   const treasuryBonus = calculateTreasuryBonus();
 
   try {
     await bot.sendMessage(
       `@${MAIN_CHANNEL}`,
-      `🗳️ VOTING STARTED!\n\n🎤 ${uploaders.length} track${uploaders.length !== 1 ? 's' : ''} competing\n⏰ ${votingMinutes} minute${votingMinutes !== 1 ? 's' : ''} to vote!\n\n💰 Prize Pool: Loading... XPOSURE\n🎰 Bonus Prize: +${treasuryBonus.toLocaleString()} XPOSURE (1/500)\n\n🔥 Listen to tracks & vote for your favorite!\n📍 Vote here: https://t.me/${CHANNEL}\n\n🏆 Winners get 80% of prize pool\n💰 Voters who pick the winner share 20%!`
+      `🗳️ VOTING STARTED!\n\n🎤 ${uploaders.length} track${uploaders.length !== 1 ? 's' : ''} competing\n⏰ ${votingTime} to vote!\n\n💰 Prize Pool: Loading... XPOSURE\n🎰 Bonus Prize: +${treasuryBonus.toLocaleString()} XPOSURE (1/500)\n\n🔥 Listen to tracks & vote for your favorite!\n📍 Vote here: https://t.me/${CHANNEL}\n\n🏆 Winners get 80% of prize pool\n💰 Voters who pick the winner share 20%!`
     );
   } catch {}
 
   try {
     await bot.sendMessage(
       `@${CHANNEL}`,
-      `🗳️ VOTING STARTED!\n\n💰 Prize Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE\n🎰 Bonus Prize: +${treasuryBonus.toLocaleString()} XPOSURE (1/500)\n⏰ ${votingMinutes} minute${votingMinutes !== 1 ? 's' : ''} to vote!\n\n🎤 Listen to each track below\n🔥 Vote for your favorite!\n\n🏆 Top 5 tracks win prizes\n💎 Vote for the winner = earn rewards!`
+      `🗳️ VOTING STARTED!\n\n💰 Prize Pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE\n🎰 Bonus Prize: +${treasuryBonus.toLocaleString()} XPOSURE (1/500)\n⏰ ${votingTime} to vote!\n${modeText}\n\n🎤 Listen to each track below\n🔥 Vote for your favorite!\n\n🏆 Top 5 tracks win prizes\n💎 Vote for the winner = earn rewards!`
     );
 
     for (const p of uploaders) {
-      await bot.sendAudio(`@${CHANNEL}`, p.track, {
-        caption: `${p.tierBadge} ${p.user} — ${p.title}\n🔥 0`,
+      if (p.cover) {
+        try {
+          await bot.sendPhoto(`@${CHANNEL}`, p.cover, { caption: `🎨 ${p.artist || p.user} — ${p.title}` });
+        } catch (err) {
+          console.error(`⚠️ Cover art for ${p.userId} not posted:`, err.message);
+        }
+      }
+      const send = { document: bot.sendDocument, voice: bot.sendVoice }[p.trackKind] || bot.sendAudio;
+      const posted = await send.call(bot, `@${CHANNEL}`, p.track, {
+        caption: voteCaption(p),
         reply_markup: {
-          inline_keyboard: [[{ text: "🔥 Vote", callback_data: `vote_${p.userId}` }]]
+          inline_keyboard: [[voteButton(p)]]
         }
       });
+      // Kept so a moved ballot can refresh the old track's count
+      store.entries.save(cycleStartTime, { ...p, messageId: posted.message_id, chatId: posted.chat.id });
       await new Promise((r) => setTimeout(r, 1200));
     }
-    console.log(`✅ Posted ${uploaders.length} tracks, voting for ${votingMinutes} minutes`);
+    console.log(`✅ Posted ${uploaders.length} tracks, voting for ${votingTime}`);
   } catch (err) {
     console.error("❌ Voting failed:", err.message);
   }
+}
+
+// === RANKING ===
+// Tallying, the tie-break chain and prize splits live in lib/ranking.js
+
+// The round's votes tallied for ranking (see tallyVotes)
+function tallyEntries(roundId, entries, mode = roundVotingMode(roundId)) {
+  const stakeOf = (userId) => {
+    const member = store.voters.find(roundId, userId) || store.entries.find(roundId, userId);
+    return Math.round((member?.amount || 0) * LAMPORTS_PER_SOL);
+  };
+  return tallyVotes(entries, store.votes.list(roundId), { mode, stakeOf, rankedMethod: VOTE_POLICY.rankedMethod });
+}
 
-  setTimeout(() => announceWinners(), votingDuration);
+const DRAW_SEED_RETRY_DELAYS = [0, 2000, 5000];
+
+// Finalized blockhash for the draw. A round that already revealed its bonus
+// draw reuses that blockhash; otherwise throws if no finalized blockhash can be
+// fetched, and the round waits in "tallying" until one can.
+async function getDrawSeed(roundId) {
+  const draw = store.draws.get(roundId);
+  if (draw?.revealed_at) {
+    return { seed: draw.blockhash, source: "blockhash", slot: draw.slot };
+  }
+
+  let lastError;
+  for (const delay of DRAW_SEED_RETRY_DELAYS) {
+    if (delay) await new Promise(r => setTimeout(r, delay));
+    try {
+      const { context, value } = await connection.getLatestBlockhashAndContext("finalized");
+      return { seed: value.blockhash, source: "blockhash", slot: context.slot };
+    } catch (err) {
+      lastError = err;
+      console.log(`⚠️ Could not fetch draw seed: ${err.message}`);
+    }
+  }
+  throw new Error(`No finalized blockhash for the draw: ${lastError.message}`);
 }
 
 // === ANNOUNCE WINNERS ===
 async function announceWinners() {
   console.log(`🏆 Announcing winners...`);
   
+  // Close voting before waiting on the seed, so no vote lands after the deadline
+  phase = "tallying";
+  saveRound();
+  
+  // One finalized blockhash, taken at voting close, seeds both draws. Every
+  // round reveals its bonus seed - with or without entries - so /verify works.
+  const tieBreak = await getDrawSeed(cycleStartTime);
+  const bonusDraw = revealBonusDraw(cycleStartTime, tieBreak);
+  
   phase = "cooldown";
-  saveState();
+  nextPhaseTime = nextRoundStart();
+  saveRound();
   
-  const uploaders = participants.filter((p) => p.choice === "upload" && p.paid);
+  const uploaders = competingEntries();
   
   if (!uploaders.length) {
     console.log("🚫 No uploads");
     
     // CRITICAL FIX: Clear ALL state properly even with no submissions
     console.log("🧹 Clearing state (no submissions)...");
-    participants = [];
-    voters = [];
-    treasuryXPOSURE = 0;
-    pendingPayments = [];
-    saveState();
-    
-    setTimeout(() => startNewCycle(), 60 * 1000);
+    store.transaction(() => {
+      store.rounds.archive(cycleStartTime, {
+        roundPool: treasuryXPOSURE,
+        prizePool: 0,
+        voterPool: 0,
+        bonus: 0,
+        entries: [],
+        voters: roundVoters().length,
+        winnerVoters: 0
+      });
+      closeRoundPool();
+      endRound();
+    });
     return;
   }
 
   // Check for treasury bonus win
-  const wonTreasuryBonus = checkTreasuryBonus();
+  const wonTreasuryBonus = !!bonusDraw.won;
   const treasuryBonusAmount = calculateTreasuryBonus();
   
+  console.log(`🎲 Bonus roll: ${bonusDraw.roll}/${TREASURY_BONUS_CHANCE}`);
   if (wonTreasuryBonus) {
     console.log(`🎰 BONUS PRIZE HIT! Winner gets +${treasuryBonusAmount.toLocaleString()} XPOSURE!`);
   }
 
-  const sorted = [...uploaders].sort((a, b) => b.votes - a.votes);
-  const weights = [0.40, 0.25, 0.20, 0.10, 0.05];
-  const numWinners = Math.min(5, sorted.length);
+  const votingMode = roundVotingMode();
+  const sorted = rankEntries(tallyEntries(cycleStartTime, uploaders, votingMode), tieBreak.seed);
+  const coWinners = sorted.filter(e => e.rank === 1);
+  const hasTies = sorted.some((e, i) => i > 0 && e.rank === sorted[i - 1].rank);
   
   const prizePool = Math.floor(treasuryXPOSURE * 0.80);
   const voterPool = treasuryXPOSURE - prizePool;
   
-  let resultsMsg = `🏆 Competition Results 🏆\n💰 Prize Pool: ${prizePool.toLocaleString()} XPOSURE\n`;
+  const methodText = votingMode === "ranked" ? ` (${VOTE_POLICY.rankedMethod === "borda" ? "Borda count" : "instant-runoff"})` : "";
+  let resultsMsg = `🏆 Competition Results 🏆\n💰 Prize Pool: ${prizePool.toLocaleString()} XPOSURE\n⚖️ Voting: ${VOTING_MODES[votingMode].name}${methodText}\n`;
   
   if (wonTreasuryBonus) {
     resultsMsg += `🎰✨ BONUS PRIZE HIT! ✨🎰\nWinner gets +${treasuryBonusAmount.toLocaleString()} XPOSURE bonus!\n`;
@@ -1399,32 +3905,52 @@ async function announceWinners() {
   
   resultsMsg += `\n`;
   
-  for (let i = 0; i < numWinners; i++) {
-    const w = sorted[i];
-    const baseAmt = Math.floor(prizePool * weights[i]);
-    let finalAmt = Math.floor(baseAmt * w.multiplier);
+  // Collected here, paid in batches once every amount is known
+  const payouts = [];
+  const prizes = new Map(); // userId → prize including any bonus, for the archive
+  const basePrizes = allocatePrizes(sorted, prizePool);
+  // Co-winners split the treasury bonus (funded from the permanent treasury) too
+  const bonusShare = wonTreasuryBonus ? Math.floor(treasuryBonusAmount / coWinners.length) : 0;
+  
+  for (const w of sorted) {
+    if (!basePrizes.has(w.userId)) continue; // Outside the paying slots
     
-    // Add treasury bonus to first place winner
-    if (i === 0 && wonTreasuryBonus) {
-      finalAmt += treasuryBonusAmount;
-      actualTreasuryBalance -= treasuryBonusAmount;  // Deduct from actual treasury
-    }
+    const prizeAmt = Math.floor(basePrizes.get(w.userId) * w.multiplier);
+    const bonusAmt = w.rank === 1 ? bonusShare : 0;
+    const finalAmt = prizeAmt + bonusAmt;
+    const tied = sorted.filter(e => e.rank === w.rank).length > 1;
     
-    const bonusTag = (i === 0 && wonTreasuryBonus) ? ` (+ ${treasuryBonusAmount.toLocaleString()} bonus!)` : '';
-    resultsMsg += `#${i + 1} ${w.tierBadge} ${w.user} — ${w.votes}🔥 — ${finalAmt.toLocaleString()} XPOSURE${bonusTag}\n`;
+    prizes.set(w.userId, finalAmt);
+    const bonusTag = bonusAmt ? ` (+ ${bonusAmt.toLocaleString()} bonus!)` : '';
+    resultsMsg += `#${w.rank}${tied ? " (tie)" : ""} ${w.tierBadge} ${w.user} — ${formatTally(w, votingMode)} — ${finalAmt.toLocaleString()} XPOSURE${bonusTag}\n`;
     
     if (w.wallet && finalAmt > 0) {
-      await sendXPOSUREPayout(w.wallet, finalAmt, `Prize #${i + 1}`);
-      
-      try {
-        const bonusMsg = (i === 0 && wonTreasuryBonus) ? `\n🎰 BONUS PRIZE: +${treasuryBonusAmount.toLocaleString()} XPOSURE!` : '';
-        await bot.sendMessage(w.userId, `🎉 You won ${finalAmt.toLocaleString()} XPOSURE!${bonusMsg} Check your wallet! 🎊`);
-      } catch {}
+      const bonusMsg = bonusAmt ? `\n🎰 BONUS PRIZE: +${bonusAmt.toLocaleString()} XPOSURE!` : '';
+      const ledger = [{ from: LEDGER_ACCOUNTS.ROUND_POOL, to: LEDGER_ACCOUNTS.PRIZES, amount: prizeAmt }];
+      if (bonusAmt) {
+        ledger.push({ from: LEDGER_ACCOUNTS.PERMANENT, to: LEDGER_ACCOUNTS.BONUS, amount: bonusAmt });
+      }
+      payouts.push({
+        destination: w.wallet,
+        amount: finalAmt,
+        reason: `Prize #${w.rank}`,
+        userId: w.userId,
+        message: `🎉 You won ${finalAmt.toLocaleString()} XPOSURE!${bonusMsg} Check your wallet! 🎊`,
+        ledger
+      });
     }
   }
 
-  const winner = sorted[0];
-  const winnerVoters = voters.filter(v => v.votedFor === winner.userId);
+  if (hasTies) {
+    resultsMsg += `\n🎲 Ties split their prize slots (order drawn from seed ${tieBreak.seed})\n`;
+  }
+
+  // A vote on any co-winner earns a share of the voter pool
+  const coWinnerIds = new Set(coWinners.map(w => w.userId));
+  const backers = new Set(store.votes.list(cycleStartTime)
+    .filter(v => coWinnerIds.has(v.entry_user_id) && (votingMode !== "ranked" || v.count === RANKED_PICKS)) // Ranked: first choices only
+    .map(v => v.voter_id));
+  const winnerVoters = roundVoters().filter(v => backers.has(v.userId));
   
   if (winnerVoters.length > 0 && voterPool > 0) {
     const totalVoterAmount = winnerVoters.reduce((sum, v) => sum + v.amount, 0);
@@ -1435,59 +3961,331 @@ async function announceWinners() {
       const share = Math.floor((v.amount / totalVoterAmount) * voterPool);
       
       if (share > 0) {
-        await sendXPOSUREPayout(v.wallet, share, "Voter reward");
-        
-        try {
-          await bot.sendMessage(v.userId, `🎉 You voted for the winner!\nReward: ${share.toLocaleString()} XPOSURE 💰`);
-        } catch {}
+        payouts.push({
+          destination: v.wallet,
+          amount: share,
+          reason: "Voter reward",
+          userId: v.userId,
+          message: `🎉 You voted for the winner!\nReward: ${share.toLocaleString()} XPOSURE 💰`,
+          ledger: [{ from: LEDGER_ACCOUNTS.ROUND_POOL, to: LEDGER_ACCOUNTS.VOTER_REWARDS, amount: share }]
+        });
       }
     }
     
     resultsMsg += `✅ ${winnerVoters.length} voter(s) rewarded!`;
   }
 
+  resultsMsg += `\n\n🎲 Bonus roll: ${bonusDraw.roll}/${TREASURY_BONUS_CHANCE} (1 wins)\n🔓 Seed: ${bonusDraw.seed}\n⛓️ Blockhash: ${bonusDraw.blockhash}\n🔎 Check it: /verify ${cycleStartTime}`;
   resultsMsg += `\n\n🎰 Bonus Prize every round (1/500 chance)`;
 
+  // Queue every payout before sending anything, then send them right away
+  for (const payout of payouts) {
+    enqueuePayout(payout);
+  }
+  await processPayoutQueue();
+
   try {
     await bot.sendMessage(`@${CHANNEL}`, resultsMsg);
     
-    const winnerPrize = Math.floor(prizePool * 0.40 * winner.multiplier) + (wonTreasuryBonus ? treasuryBonusAmount : 0);
-    const bonusText = wonTreasuryBonus ? ` (including ${treasuryBonusAmount.toLocaleString()} bonus!)` : '';
+    const bonusText = wonTreasuryBonus ? ` (including ${bonusShare.toLocaleString()} bonus!)` : '';
+    const winnerText = coWinners.length > 1
+      ? `🎉 CO-WINNERS:\n${coWinners.map(w => `${w.tierBadge} ${w.user} — ${(prizes.get(w.userId) || 0).toLocaleString()} XPOSURE`).join("\n")}${wonTreasuryBonus ? `\n🎰 Bonus split: ${bonusShare.toLocaleString()} XPOSURE each` : ""}`
+      : `🎉 WINNER: ${coWinners[0].tierBadge} ${coWinners[0].user}\n💰 Won ${(prizes.get(coWinners[0].userId) || 0).toLocaleString()} XPOSURE${bonusText}!`;
     
     await bot.sendMessage(
       `@${MAIN_CHANNEL}`,
-      `🎉 WINNER: ${winner.tierBadge} ${winner.user}\n💰 Won ${winnerPrize.toLocaleString()} XPOSURE${bonusText}!\n\n🏆 See full results in @${CHANNEL}\n⏰ Next round starts in 1 minute!\n\n🎮 Type /start in the bot to play!`
+      `${winnerText}\n\n🏆 See full results in @${CHANNEL}\n⏰ Next round starts in ${phaseTimeLeft()}!\n\n🎮 Type /start in the bot to play!`
     );
   } catch {}
 
   console.log(`💰 Distributed ${treasuryXPOSURE.toLocaleString()} XPOSURE from round pool`);
   if (wonTreasuryBonus) {
-    console.log(`🎰 Bonus prize paid: ${treasuryBonusAmount.toLocaleString()} XPOSURE from treasury`);
+    console.log(`🎰 Bonus prize paid: ${(bonusShare * coWinners.length).toLocaleString()} XPOSURE from treasury`);
   }
   
   // CRITICAL FIX: Clear ALL state properly after winners announced
-  console.log("🧹 Clearing all participants, voters, and pending payments...");
-  participants = [];
-  voters = [];
-  treasuryXPOSURE = 0;
-  pendingPayments = [];
-  saveState();
-  
-  setTimeout(() => startNewCycle(), 60 * 1000);
+  console.log("🧹 Closing round: participants, voters, and pending payments...");
+  store.transaction(() => {
+    store.rounds.archive(cycleStartTime, {
+      roundPool: prizePool + voterPool,
+      prizePool,
+      voterPool,
+      bonus: wonTreasuryBonus ? bonusShare * coWinners.length : 0,
+      tieBreak,
+      votingMode,
+      ...(votingMode === "ranked" && { rankedMethod: VOTE_POLICY.rankedMethod }),
+      entries: sorted.map(e => ({
+        rank: e.rank,
+        position: e.position,
+        userId: e.userId,
+        user: e.user,
+        title: e.title,
+        tier: e.tier,
+        tierBadge: e.tierBadge,
+        multiplier: e.multiplier,
+        votes: e.votes,
+        score: e.score,
+        stake: e.stake,
+        reachedAt: e.reachedAt,
+        drawKey: e.drawKey,
+        prize: prizes.get(e.userId) || 0
+      })),
+      voters: roundVoters().length,
+      winnerVoters: winnerVoters.length
+    });
+    closeRoundPool();
+    endRound();
+  });
+}
+
+// === TRACK VALIDATION ===
+// Uploads arrive as audio, as a file (document) or as a voice note. Cheap
+// checks run on Telegram's metadata first; the file is then downloaded and
+// its bytes must be one of AUDIO_FORMATS. Documents carry no duration, so
+// theirs comes from fpcalc when it's installed.
+const TRACK_LIMITS = {
+  minDuration: scheduleSetting("TRACK_MIN_SECONDS", 30),
+  maxDuration: scheduleSetting("TRACK_MAX_SECONDS", 10 * 60),
+  // The Bot API only serves downloads up to 20 MB
+  maxBytes: Math.min(scheduleSetting("TRACK_MAX_MB", 20), 20) * 1024 * 1024
+};
+
+const AUDIO_FORMATS = [
+  { name: "MP3", extensions: [".mp3"], test: (b) => b.toString("latin1", 0, 3) === "ID3" || (b[0] === 0xff && (b[1] & 0xe6) === 0xe2) },
+  { name: "AAC", extensions: [".aac"], test: (b) => b[0] === 0xff && (b[1] & 0xf6) === 0xf0 },
+  { name: "M4A", extensions: [".m4a", ".mp4"], test: (b) => b.toString("latin1", 4, 8) === "ftyp" },
+  { name: "OGG", extensions: [".ogg", ".oga", ".opus"], test: (b) => b.toString("latin1", 0, 4) === "OggS" },
+  { name: "WAV", extensions: [".wav"], test: (b) => b.toString("latin1", 0, 4) === "RIFF" && b.toString("latin1", 8, 12) === "WAVE" },
+  { name: "FLAC", extensions: [".flac"], test: (b) => b.toString("latin1", 0, 4) === "fLaC" }
+];
+const ACCEPTED_FORMATS = AUDIO_FORMATS.map(f => f.name).join(", ");
+
+// The upload in a private message, or null when it has none
+function uploadedAudio(msg) {
+  const file = msg.audio || msg.document || msg.voice;
+  if (!file) return null;
+  return {
+    kind: msg.audio ? "audio" : msg.document ? "document" : "voice",
+    fileId: file.file_id,
+    fileName: file.file_name || "",
+    title: file.title || cleanTrackTitle(file.file_name || "") || (msg.voice ? "Voice note" : "Untitled"),
+    performer: file.performer || null,
+    duration: file.duration || 0, // Seconds; 0 when Telegram doesn't know
+    size: file.file_size || 0
+  };
+}
+
+// "final_mix_v3.mp3" → "final mix v3"
+function cleanTrackTitle(fileName) {
+  return path.parse(fileName).name.replace(/_+/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function formatTrackLength(seconds) {
+  return `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, "0")}`;
+}
+
+// { rule, error } for the first limit the duration breaks, else null
+function checkTrackDuration(seconds) {
+  if (seconds < TRACK_LIMITS.minDuration) {
+    return { rule: "duration", error: `Track too short: ${formatTrackLength(seconds)} (minimum ${formatTrackLength(TRACK_LIMITS.minDuration)})` };
+  }
+  if (TRACK_LIMITS.maxDuration && seconds > TRACK_LIMITS.maxDuration) {
+    return { rule: "duration", error: `Track too long: ${formatTrackLength(seconds)} (maximum ${formatTrackLength(TRACK_LIMITS.maxDuration)})` };
+  }
+  return null;
+}
+
+// Checks what Telegram tells us without downloading: { rule, error } or null
+function checkUploadMetadata(upload) {
+  const extension = path.extname(upload.fileName).toLowerCase();
+  if (upload.fileName && !AUDIO_FORMATS.some(f => f.extensions.includes(extension))) {
+    return { rule: "format", error: `Unsupported file type: ${upload.fileName}\n✅ Accepted: ${ACCEPTED_FORMATS}` };
+  }
+  if (upload.size > TRACK_LIMITS.maxBytes) {
+    return { rule: "size", error: `File too large: ${(upload.size / 1024 / 1024).toFixed(1)} MB (maximum ${TRACK_LIMITS.maxBytes / 1024 / 1024} MB)` };
+  }
+  return upload.duration ? checkTrackDuration(upload.duration) : null;
+}
+
+async function downloadTelegramFile(fileId) {
+  const url = await bot.getFileLink(fileId);
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`Telegram file download failed: ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+function sniffAudioFormat(buffer) {
+  return AUDIO_FORMATS.find(f => buffer.length >= 12 && f.test(buffer))?.name || null;
+}
+
+// Downloads the upload and checks its contents. Resolves
+// { ok: true, buffer, format, duration, audio } - audio being the fingerprint,
+// if any - or { ok: false, rule, error }.
+async function inspectUpload(upload) {
+  let buffer;
+  try {
+    buffer = await downloadTelegramFile(upload.fileId);
+  } catch (err) {
+    console.error(`⚠️ Upload download failed: ${err.message}`);
+    return { ok: false, rule: "download", error: "Couldn't download your file from Telegram - please send it again" };
+  }
+  if (buffer.length > TRACK_LIMITS.maxBytes) {
+    return { ok: false, rule: "size", error: `File too large: ${(buffer.length / 1024 / 1024).toFixed(1)} MB (maximum ${TRACK_LIMITS.maxBytes / 1024 / 1024} MB)` };
+  }
+
+  const format = sniffAudioFormat(buffer);
+  if (!format) {
+    return { ok: false, rule: "format", error: `File contents aren't a recognised audio format\n✅ Accepted: ${ACCEPTED_FORMATS}` };
+  }
+
+  let audio = null;
+  try {
+    audio = await fingerprintAudio(buffer);
+  } catch (err) {
+    console.error(`⚠️ Fingerprinting failed: ${err.message}`);
+  }
+
+  const duration = upload.duration || audio?.duration || 0;
+  if (duration) {
+    const failed = checkTrackDuration(duration);
+    if (failed) return { ok: false, ...failed };
+  } else {
+    console.warn(`⚠️ Unknown duration for ${upload.kind} upload ${upload.fileId} - length limits not enforced`);
+  }
+
+  return { ok: true, buffer, format, duration, audio };
+}
+
+// === TRACK FINGERPRINTS ===
+// Every upload is downloaded once and hashed (exact re-uploads) and, when the
+// Chromaprint `fpcalc` binary is installed, fingerprinted (re-encodes, trims
+// and renamed copies). A match against an entered or in-flight track is
+// rejected or just flagged to admins (DUPLICATE_TRACKS=reject|flag).
+const TRACK_POLICY = {
+  duplicates: process.env.DUPLICATE_TRACKS || "reject",
+  fpcalcPath: process.env.FPCALC_PATH || "fpcalc",
+  fingerprintThreshold: Number(process.env.FINGERPRINT_THRESHOLD) || 0.85, // Share of matching bits
+  durationTolerance: 15, // Seconds either side worth comparing
+  maxShift: 40 // Fingerprint items (~0.12s each) one track may be offset by
+};
+if (!["reject", "flag"].includes(TRACK_POLICY.duplicates)) {
+  throw new Error(`DUPLICATE_TRACKS must be "reject" or "flag"`);
+}
+
+const execFileAsync = promisify(execFile);
+let fpcalcAvailable = true; // Cleared the first time the binary is missing
+
+// { duration, fingerprint: [uint32] } or null when fpcalc isn't available
+async function fingerprintAudio(buffer) {
+  if (!fpcalcAvailable) return null;
+
+  const file = path.join(os.tmpdir(), `xposure-${crypto.randomBytes(8).toString("hex")}`);
+  fs.writeFileSync(file, buffer);
+  try {
+    const { stdout } = await execFileAsync(TRACK_POLICY.fpcalcPath, ["-raw", "-json", file], { timeout: 30000 });
+    const { duration, fingerprint } = JSON.parse(stdout);
+    return { duration: Math.round(duration), fingerprint };
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      fpcalcAvailable = false;
+      console.warn(`⚠️ ${TRACK_POLICY.fpcalcPath} not found - duplicate checks use content hashes only`);
+      return null;
+    }
+    throw err;
+  } finally {
+    fs.rmSync(file, { force: true });
+  }
+}
+
+function popcount32(x) {
+  x -= (x >>> 1) & 0x55555555;
+  x = (x & 0x33333333) + ((x >>> 2) & 0x33333333);
+  return Math.imul((x + (x >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+// Best share of equal bits between two raw Chromaprint fingerprints over the
+// allowed offsets, ignoring alignments that overlap by less than half
+function fingerprintSimilarity(a, b) {
+  const minOverlap = Math.floor(Math.min(a.length, b.length) / 2);
+  let best = 0;
+  for (let shift = -TRACK_POLICY.maxShift; shift <= TRACK_POLICY.maxShift; shift++) {
+    let errors = 0;
+    let overlap = 0;
+    for (let i = Math.max(0, -shift); i < a.length && i + shift < b.length; i++) {
+      errors += popcount32(a[i] ^ b[i + shift]);
+      overlap++;
+    }
+    if (overlap && overlap >= minOverlap) best = Math.max(best, 1 - errors / (overlap * 32));
+  }
+  return best;
+}
+
+// Records an inspected upload (see inspectUpload) under its payment reference.
+// Returns the earliest matching original as
+// { roundId, userId, title, match, similarity? }, or null.
+function checkDuplicateTrack({ reference, userId, title, buffer, audio }) {
+  const contentHash = crypto.createHash("sha256").update(buffer).digest("hex");
+  store.tracks.record({ reference, roundId: cycleStartTime, userId, title, contentHash, ...audio });
+
+  const describe = (original, match, similarity) => ({
+    roundId: original.roundId,
+    userId: original.userId,
+    title: original.title,
+    match,
+    ...(similarity !== undefined && { similarity: Number(similarity.toFixed(3)) })
+  });
+
+  const [exact] = store.tracks.candidates({ reference, contentHash });
+  if (exact) return describe(exact, "exact");
+  if (!audio?.fingerprint?.length) return null;
+
+  const nearby = store.tracks.candidates({ reference, duration: audio.duration, tolerance: TRACK_POLICY.durationTolerance });
+  for (const original of nearby) {
+    const similarity = fingerprintSimilarity(audio.fingerprint, original.fingerprint);
+    if (similarity >= TRACK_POLICY.fingerprintThreshold) return describe(original, "fingerprint", similarity);
+  }
+  return null;
+}
+
+async function alertDuplicateTrack(user, title, duplicate) {
+  const how = duplicate.match === "exact" ? "identical file" : `${(duplicate.similarity * 100).toFixed(1)}% fingerprint match`;
+  console.warn(`🔁 Possible duplicate: ${user} uploaded "${title}" - ${how} with "${duplicate.title}" by ${duplicate.userId}`);
+  for (const adminId of ADMIN_IDS) {
+    try {
+      await bot.sendMessage(
+        adminId,
+        `🔁 Possible Duplicate Track\n\n🎤 ${user} — ${title}\n📎 ${how} with "${duplicate.title}" (user ${duplicate.userId})\n\nIf it's entered, use /admin remove to disqualify it.`
+      );
+    } catch {}
+  }
 }
 
 // === TELEGRAM HANDLERS ===
-bot.onText(/\/start|play/i, async (msg) => {
+// Anchored so a typed track title or artist name never opens the menu
+bot.onText(/^\/start\b/, async (msg) => {
   const user = msg.from.username ? `@${msg.from.username}` : msg.from.first_name || "Unknown";
   const userId = String(msg.from.id);
 
+  // Deep link from the 🗳️ button on a ranked round's tracks
+  if (/^\/start ballot$/.test(msg.text)) {
+    await openBallot(userId);
+    return;
+  }
+
   if (phase !== "submission") {
     await bot.sendMessage(userId, `⚠️ ${phase} phase active. Wait for next round!`);
     return;
   }
 
   // Check if user already has a pending payment
-  const existingPending = pendingPayments.find(p => p.userId === userId);
+  const existingPending = store.payments.findOpenByUser(userId);
+  if (existingPending && isSettlementOpen(existingPending)) {
+    await bot.sendMessage(
+      userId,
+      `⏳ Your payment was received and is still being processed.\n\nYou'll get a message as soon as it completes!`
+    );
+    return;
+  }
   if (existingPending) {
     // Check if it's expired
     const createdTime = existingPending.createdAt || cycleStartTime || Date.now();
@@ -1496,8 +4294,7 @@ bot.onText(/\/start|play/i, async (msg) => {
     if (age > PAYMENT_TIMEOUT) {
       // Remove expired payment
       console.log(`🧹 Removing expired payment for ${userId} in /start`);
-      pendingPayments = pendingPayments.filter(p => p.userId !== userId);
-      saveState();
+      store.payments.setStatus(existingPending.reference, "expired");
       
       await bot.sendMessage(
         userId,
@@ -1505,18 +4302,14 @@ bot.onText(/\/start|play/i, async (msg) => {
       );
     } else if (existingPending.track && !existingPending.confirmed) {
       // They uploaded but haven't paid yet
-      const reference = existingPending.reference;
-      const redirectLink = `https://sunolabs-redirect.onrender.com/pay?bot=xposure&recipient=${TREASURY.toBase58()}&amount=0.01&reference=${reference}&userId=${userId}`;
       const timeLeft = Math.ceil((PAYMENT_TIMEOUT - age) / 60000);
       
       await bot.sendMessage(
         userId,
-        `🎤 Track uploaded: ${existingPending.title}\n\n⏱️ Payment pending (${timeLeft} minutes left)\n\n🪙 Complete payment to enter:`,
+        `🎤 Track uploaded: ${existingPending.title}\n\n⏱️ Payment pending (${timeLeft} minutes left)\n\n🪙 Pick your tier to complete payment:`,
         {
           reply_markup: {
-            inline_keyboard: [
-              [{ text: "🪙 Complete Payment", url: redirectLink }]
-            ]
+            inline_keyboard: tierKeyboard(existingPending.reference)
           }
         }
       );
@@ -1532,25 +4325,24 @@ bot.onText(/\/start|play/i, async (msg) => {
   }
 
   // Check if already participated
-  const alreadyParticipated = participants.find(p => p.userId === userId);
+  const alreadyParticipated = cycleStartTime && store.entries.find(cycleStartTime, userId);
   if (alreadyParticipated) {
     await bot.sendMessage(
       userId,
-      `✅ You're already in!\n\n${alreadyParticipated.choice === "upload" ? `🎤 ${alreadyParticipated.title}` : "🗳️ Voter"}`
+      alreadyParticipated.disqualified
+        ? `🚫 Your track "${alreadyParticipated.title}" was removed from this round.\n\nSee you next round!`
+        : `✅ You're already in!\n\n${alreadyParticipated.choice === "upload" ? `🎤 ${alreadyParticipated.title}` : "🗳️ Voter"}`
     );
     return;
   }
 
-  const now = Date.now();
-  let timeMessage = "";
-  
-  if (cycleStartTime) {
-    const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
-    const timeRemaining = Math.max(0, submissionEndTime - now);
-    const minutesLeft = Math.ceil(timeRemaining / 60000);
-    timeMessage = `\n⏰ ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''} left to join!`;
+  if (store.meta.get("paymentsPaused")) {
+    await bot.sendMessage(userId, `⏸️ New entries are paused for a moment. Please try again shortly!`);
+    return;
   }
 
+  const timeMessage = phase === "submission" && cycleStartTime ? `\n⏰ ${phaseTimeLeft()} left to join!` : "";
+
   const treasuryBonus = calculateTreasuryBonus();
 
   await bot.sendMessage(
@@ -1567,14 +4359,569 @@ bot.onText(/\/start|play/i, async (msg) => {
   );
 });
 
+// === ROUND HISTORY ===
+const PAYOUT_STATUS_ICONS = { confirmed: "✅", queued: "⏳", sending: "📤", failed: "🚨" };
+
+bot.onText(/^\/history\b/, async (msg) => {
+  if (msg.chat.type !== "private") return;
+  const userId = String(msg.from.id);
+
+  const roundLines = listRounds({ limit: 5 }).map(r => {
+    const date = r.closedAt.slice(0, 16).replace("T", " ");
+    return r.winner
+      ? `🏆 ${date} — ${r.winner.user} "${r.winner.title}" (${r.winner.votes}🔥)\n   💰 ${r.prizePool.toLocaleString()} XPOSURE | ${r.entries} track${r.entries !== 1 ? "s" : ""} | Round ${r.id}`
+      : `⏭️ ${date} — no tracks | Round ${r.id}`;
+  });
+
+  const payoutLines = store.payouts.listByUser(userId, 5).map(p => {
+    const unit = p.kind === "sol" ? "SOL" : "XPOSURE";
+    const proof = p.signature ? `\n   🔗 https://solscan.io/tx/${p.signature}` : ` (${p.status})`;
+    return `${PAYOUT_STATUS_ICONS[p.status] || "•"} ${p.reason}: ${p.amount.toLocaleString()} ${unit}${proof}`;
+  });
+
+  await bot.sendMessage(
+    userId,
+    `📜 Recent Rounds\n\n${roundLines.join("\n\n") || "No completed rounds yet."}\n\n💸 Your Payouts\n\n${payoutLines.join("\n\n") || "No payouts yet."}\n\n🔎 Full results: ${PUBLIC_URL}/rounds/<round>`
+  );
+});
+
+// === LEADERBOARD & PROFILES ===
+const PODIUM_MEDALS = ["🥇", "🥈", "🥉"];
+
+bot.onText(/^\/leaderboard\b/, async (msg) => {
+  if (msg.chat.type !== "private") return;
+
+  const lines = getLeaderboard({ limit: 10 }).map((s, i) =>
+    `${PODIUM_MEDALS[i] || `${i + 1}.`} ${s.bestTierBadge || ""} ${s.user || "Unknown"}\n   🏆 ${s.wins} win${s.wins !== 1 ? "s" : ""} | 🎖️ ${s.podiums} podium | 🔥 ${s.votes} | 💰 ${s.earned.toLocaleString()} XPOSURE`
+  );
+
+  await bot.sendMessage(
+    msg.chat.id,
+    lines.length
+      ? `🏆 All-Time Leaderboard\n\n${lines.join("\n\n")}\n\n👤 See anyone's stats with /profile @username`
+      : `🏆 All-Time Leaderboard\n\nNo completed rounds yet - be the first winner!`
+  );
+});
+
+bot.onText(/^\/profile(?:\s+(\S+))?/, async (msg, match) => {
+  if (msg.chat.type !== "private") return;
+
+  const profile = match[1]
+    ? getProfile({ user: match[1] })
+    : getProfile({ userId: msg.from.id });
+
+  if (!profile) {
+    await bot.sendMessage(
+      msg.chat.id,
+      match[1] ? `⚠️ No stats found for ${match[1]}` : `⚠️ No stats yet - enter a round to start your profile!`
+    );
+    return;
+  }
+
+  await bot.sendMessage(
+    msg.chat.id,
+    `👤 ${profile.user || "Your Profile"}\n\n🎤 Tracks entered: ${profile.tracks}\n🏆 Wins: ${profile.wins}\n🎖️ Podium finishes: ${profile.podiums}\n🔥 Votes received: ${profile.votes.toLocaleString()}\n💰 XPOSURE earned: ${profile.earned.toLocaleString()}\n${profile.bestTierBadge || "🎤"} Best tier: ${profile.bestTier || "None"}`
+  );
+});
+
+// === BONUS DRAW VERIFICATION ===
+bot.onText(/^\/verify(?:\s+(\d+))?/, async (msg, match) => {
+  if (msg.chat.type !== "private") return;
+
+  const roundId = match[1] ? Number(match[1]) : listRounds({ limit: 1 })[0]?.id;
+  const draw = roundId ? verifyBonusDraw(roundId) : null;
+
+  if (!draw) {
+    await bot.sendMessage(msg.chat.id, match[1] ? `⚠️ No bonus draw found for round ${match[1]}` : `⚠️ No completed rounds yet.`);
+    return;
+  }
+
+  if (!draw.revealed) {
+    await bot.sendMessage(
+      msg.chat.id,
+      `🔐 Round ${roundId} Bonus Draw\n\nCommitment: ${draw.commitment}\nCommitted: ${draw.committedAt}\n\n⏳ The seed is revealed when voting closes.`
+    );
+    return;
+  }
+
+  await bot.sendMessage(
+    msg.chat.id,
+    `🔎 Round ${roundId} Bonus Draw\n\n🔐 Commitment: ${draw.commitment}\n🔓 Seed: ${draw.seed}\n${draw.commitmentValid ? "✅" : "❌"} sha256(seed) ${draw.commitmentValid ? "matches" : "does NOT match"} the commitment\n\n⛓️ Blockhash: ${draw.blockhash}${draw.slot ? ` (slot ${draw.slot})` : ""}\n🎲 Roll: sha256(seed:blockhash) mod ${TREASURY_BONUS_CHANCE} + 1 = ${draw.roll}\n${draw.won ? "🎰 Bonus WON" : "No bonus (1 wins)"}\n${draw.matchesAnnounced ? "✅ Matches the announced result" : "❌ Does NOT match the announced result"}`
+  );
+});
+
+// === RANKED BALLOT ===
+// Voters build a ranked ballot in DM one pick at a time; the draft lives in
+// memory until submitted (a restart just means sending /ballot again).
+const BALLOT_MEDALS = ["🥇", "🥈", "🥉"];
+const ballotDrafts = new Map(); // voterId → { round, picks }
+
+function ballotLink() {
+  return `https://t.me/${BOT_USERNAME}?start=ballot`;
+}
+
+function ballotView(voterId) {
+  const { picks } = ballotDrafts.get(voterId);
+  const entries = competingEntries().filter(e => e.userId !== voterId);
+  const complete = picks.length >= Math.min(RANKED_PICKS, entries.length);
+
+  const lines = picks.map((id, i) => {
+    const e = entries.find(x => x.userId === id);
+    return `${BALLOT_MEDALS[i] || `${i + 1}.`} ${e ? `${e.user} — ${e.title}` : "(removed)"}`;
+  });
+  const options = complete ? [] : entries
+    .filter(e => !picks.includes(e.userId))
+    .map(e => [{ text: `${e.tierBadge} ${e.user} — ${e.title}`.slice(0, 60), callback_data: `rank_${e.userId}` }]);
+  const controls = picks.length
+    ? [[{ text: "✅ Submit ballot", callback_data: "ballot_submit" }, { text: "↩️ Start over", callback_data: "ballot_reset" }]]
+    : [];
+
+  return {
+    text: `🗳️ Your Ballot - rank up to ${RANKED_PICKS} tracks\n\n${lines.join("\n") || "Nothing ranked yet."}\n\n${complete ? "✅ Ready - submit your ballot!" : `👇 Pick your #${picks.length + 1}${picks.length ? " or submit now" : ""}:`}`,
+    reply_markup: { inline_keyboard: [...options, ...controls] }
+  };
+}
+
+async function openBallot(voterId) {
+  if (phase !== "voting" || roundVotingMode() !== "ranked") {
+    await bot.sendMessage(voterId, `⚠️ There's no ranked-choice vote open right now.`);
+    return;
+  }
+  if (!isEligibleVoter(voterId)) {
+    await bot.sendMessage(voterId, `⚠️ Only paid voters and entrants can vote - type /start when the next round opens to join!`);
+    return;
+  }
+  if (store.votes.ballot(cycleStartTime, voterId) && !VOTE_POLICY.allowBallotChanges) {
+    await bot.sendMessage(voterId, `✅ You already voted this round - good luck!`);
+    return;
+  }
+
+  ballotDrafts.set(voterId, { round: cycleStartTime, picks: [] });
+  const { text, reply_markup } = ballotView(voterId);
+  await bot.sendMessage(voterId, text, { reply_markup });
+}
+
+async function handleBallotCallback(q) {
+  const voterId = String(q.from.id);
+  const draft = ballotDrafts.get(voterId);
+  const edit = (text, reply_markup) => bot.editMessageText(text, { chat_id: q.message.chat.id, message_id: q.message.message_id, reply_markup });
+
+  if (!draft || draft.round !== cycleStartTime) {
+    ballotDrafts.delete(voterId);
+    await bot.answerCallbackQuery(q.id, { text: "⚠️ This ballot expired - send /ballot for a new one", show_alert: true });
+    return;
+  }
+
+  if (q.data === "ballot_reset") {
+    draft.picks = [];
+  } else if (q.data === "ballot_submit") {
+    const result = castRankedBallot(voterId, draft.picks);
+    if (!result.ok) {
+      await bot.answerCallbackQuery(q.id, { text: `⚠️ ${result.error}`, show_alert: true });
+      return;
+    }
+
+    ballotDrafts.delete(voterId);
+    const lines = result.entries.map((e, i) => `${BALLOT_MEDALS[i]} ${e.user} — ${e.title}`);
+    await edit(`✅ Ballot ${result.replaced ? "updated" : "submitted"}!\n\n${lines.join("\n")}\n\n🏆 Results when voting closes in ${phaseTimeLeft()}`);
+    await bot.answerCallbackQuery(q.id, { text: "✅ Ballot counted!" });
+    return;
+  } else {
+    const pick = q.data.slice("rank_".length);
+    if (!draft.picks.includes(pick) && draft.picks.length < RANKED_PICKS) draft.picks.push(pick);
+  }
+
+  const { text, reply_markup } = ballotView(voterId);
+  try {
+    await edit(text, reply_markup);
+  } catch {}
+  await bot.answerCallbackQuery(q.id);
+}
+
+bot.onText(/^\/ballot\b/, async (msg) => {
+  if (msg.chat.type !== "private") return;
+  await openBallot(String(msg.from.id));
+});
+
+// === TRACK DETAILS ===
+// After uploading, artists can set the title, display name, genre and cover
+// art of their voting post - on the pending upload, then on the entry once
+// paid, until voting starts. A prompted reply is awaited in memory.
+const TRACK_GENRES = ["Hip-Hop", "Trap", "R&B", "Pop", "Electronic", "Rock", "Lo-fi", "Afrobeats", "Other"];
+const TRACK_TEXT_FIELDS = {
+  title: { label: "title", maxLength: 64 },
+  artist: { label: "artist name", maxLength: 32 }
+};
+const trackEdits = new Map(); // userId → "title" | "artist" | "cover" awaiting a reply
+
+// { track, save } for the user's track while it can still change, else null
+function editableTrack(userId) {
+  if (phase !== "submission" || !cycleStartTime) return null;
+
+  const entry = store.entries.find(cycleStartTime, userId);
+  if (entry) return { track: entry, save: (t) => store.entries.save(cycleStartTime, t) };
+
+  const payment = store.payments.findOpenByUser(userId);
+  if (payment?.choice === "upload" && payment.track) return { track: payment, save: (t) => store.payments.save(t) };
+  return null;
+}
+
+function trackCard(track) {
+  return {
+    text: `📝 Track Details\n\n🎤 ${track.title}\n👤 ${track.artist || track.user}\n🏷️ ${track.genre || "No genre"}\n🖼️ ${track.cover ? "Cover art attached" : "No cover art"}\n\nThis is how your track is shown when voting starts - edit anything until then:`,
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "✏️ Title", callback_data: "meta_title" }, { text: "👤 Artist name", callback_data: "meta_artist" }],
+        [{ text: "🏷️ Genre", callback_data: "meta_genre" }, { text: track.cover ? "🖼️ Change cover" : "🖼️ Add cover", callback_data: "meta_cover" }],
+        ...(track.cover ? [[{ text: "🗑️ Remove cover", callback_data: "meta_nocover" }]] : []),
+        [{ text: "✅ Looks good", callback_data: "meta_done" }]
+      ]
+    }
+  };
+}
+
+async function sendTrackCard(userId, track) {
+  const { text, reply_markup } = trackCard(track);
+  await bot.sendMessage(userId, text, { reply_markup });
+}
+
+async function handleTrackCallback(q) {
+  const userId = String(q.from.id);
+  const editable = editableTrack(userId);
+  if (!editable) {
+    await bot.answerCallbackQuery(q.id, { text: "⚠️ Track details can only be changed before voting starts", show_alert: true });
+    return;
+  }
+
+  const { track, save } = editable;
+  const edit = (view) => bot.editMessageText(view.text, { chat_id: q.message.chat.id, message_id: q.message.message_id, reply_markup: view.reply_markup });
+
+  if (q.data === "meta_title" || q.data === "meta_artist") {
+    const field = q.data.slice("meta_".length);
+    const { label, maxLength } = TRACK_TEXT_FIELDS[field];
+    trackEdits.set(userId, field);
+    await bot.sendMessage(userId, `✏️ Send the new ${label} (up to ${maxLength} characters):`);
+  } else if (q.data === "meta_cover") {
+    trackEdits.set(userId, "cover");
+    await bot.sendMessage(userId, `🖼️ Send your cover art as a photo (square images look best):`);
+  } else if (q.data === "meta_genre") {
+    const buttons = TRACK_GENRES.map((genre, i) => ({ text: genre, callback_data: `genre_${i}` }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 3) rows.push(buttons.slice(i, i + 3));
+    await edit({ text: "🏷️ Pick a genre:", reply_markup: { inline_keyboard: rows } });
+  } else if (q.data.startsWith("genre_")) {
+    const genre = TRACK_GENRES[Number(q.data.slice("genre_".length))];
+    if (genre) {
+      track.genre = genre;
+      save(track);
+    }
+    await edit(trackCard(track));
+  } else if (q.data === "meta_nocover") {
+    delete track.cover;
+    save(track);
+    await edit(trackCard(track));
+  } else if (q.data === "meta_done") {
+    trackEdits.delete(userId);
+    await edit({ text: `✅ Track details saved!\n\n${trackHeadline(track)}\n\n📝 Send /track to change them until voting starts.` });
+  }
+  await bot.answerCallbackQuery(q.id);
+}
+
+// Applies a reply to a track details prompt; true when the message was one
+async function applyTrackEdit(msg) {
+  const userId = String(msg.from.id);
+  const field = trackEdits.get(userId);
+  const isImageFile = msg.document?.mime_type?.startsWith("image/");
+  if (!field || !(msg.text || msg.photo || isImageFile)) return false;
+  if (msg.text?.startsWith("/")) {
+    trackEdits.delete(userId); // Any command cancels the prompt
+    return false;
+  }
+
+  const editable = editableTrack(userId);
+  if (!editable) {
+    trackEdits.delete(userId);
+    await bot.sendMessage(userId, `⚠️ Your track can't be edited right now - details lock when voting starts.`);
+    return true;
+  }
+  const { track, save } = editable;
+
+  if (field === "cover") {
+    if (!msg.photo) {
+      await bot.sendMessage(userId, `🖼️ Please send the cover art as a photo, not as a file or text.`);
+      return true;
+    }
+    track.cover = msg.photo[msg.photo.length - 1].file_id; // Largest size
+  } else {
+    const { label, maxLength } = TRACK_TEXT_FIELDS[field];
+    const value = (msg.text || "").replace(/\s+/g, " ").trim();
+    if (!value || value.length > maxLength) {
+      await bot.sendMessage(userId, `⚠️ The ${label} must be 1-${maxLength} characters of text - try again:`);
+      return true;
+    }
+    track[field] = value;
+  }
+
+  save(track);
+  trackEdits.delete(userId);
+  await sendTrackCard(userId, track);
+  return true;
+}
+
+bot.onText(/^\/track\b/, async (msg) => {
+  if (msg.chat.type !== "private") return;
+  const userId = String(msg.from.id);
+
+  const editable = editableTrack(userId);
+  if (!editable) {
+    await bot.sendMessage(userId, `⚠️ You have no track to edit - details can be changed after uploading, until voting starts.`);
+    return;
+  }
+  await sendTrackCard(userId, editable.track);
+});
+
+// === DISQUALIFICATION ===
+// Matches a current-round track by Telegram ID, @username or payment reference
+function findCompetingEntry(query) {
+  const name = query.replace(/^@/, "").toLowerCase();
+  return competingEntries().find(e =>
+    e.userId === query ||
+    e.reference === query ||
+    (e.user || "").replace(/^@/, "").toLowerCase() === name
+  ) || null;
+}
+
+// Pulls a track from the round and releases the ballots cast for it. With
+// refund, the entrant's round pool contribution is queued back to their wallet.
+function disqualifyEntry(entry, { adminId, refund = false }) {
+  const contribution = refund ? store.payments.find(entry.reference)?.settlement?.roundPool || 0 : 0;
+
+  return store.transaction(() => {
+    store.entries.save(cycleStartTime, { ...entry, disqualified: { at: Date.now(), by: adminId } });
+
+    const freedVoters = store.votes.removeForEntry(cycleStartTime, entry.userId);
+    for (const voterId of freedVoters) {
+      const voter = store.voters.find(cycleStartTime, voterId);
+      if (voter?.votedFor === entry.userId) store.voters.save(cycleStartTime, { ...voter, votedFor: null });
+    }
+
+    const payout = contribution > 0
+      ? enqueuePayout({
+        destination: entry.wallet,
+        amount: contribution,
+        reason: "Disqualification refund",
+        userId: entry.userId,
+        message: `↩️ Refunded ${contribution.toLocaleString()} XPOSURE for "${entry.title}"`,
+        ledger: [{ from: LEDGER_ACCOUNTS.ROUND_POOL, to: LEDGER_ACCOUNTS.REFUNDS, amount: contribution }]
+      })
+      : null;
+
+    console.log(`🚫 Disqualified ${entry.user} "${entry.title}" (${freedVoters.length} ballots released${payout ? `, refund ${payout.id}` : ""})`);
+    return { freedVoters, refund: payout };
+  });
+}
+
+// === ADMIN COMMANDS ===
+// /admin <command> [args], limited to ADMIN_IDS. Every call is written to the
+// admin audit log with its outcome, including the ones that fail.
+async function adminStatus() {
+  const paused = store.meta.get("paymentsPaused");
+  const report = getFailedPayoutReport();
+  const reconciliation = store.meta.get("lastReconciliation");
+
+  return {
+    reply: `🛡️ Admin Status\n\n` +
+      `🎬 Round: ${cycleStartTime || "none"}\n` +
+      `⏰ Phase: ${phase} (${phaseTimeLeft()} left)${phaseTransitionRunning ? " - changing now" : ""}\n` +
+      `⚖️ Voting: ${cycleStartTime ? VOTING_MODES[roundVotingMode()].name : "-"}\n` +
+      `🎤 Tracks: ${competingEntries().length} | 🗳️ Voters: ${roundVoters().length} | ⏳ Pending: ${store.payments.open().length}\n` +
+      `💰 Round pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE\n` +
+      `🏦 Treasury: ${actualTreasuryBalance.toLocaleString()} XPOSURE\n` +
+      `${paused ? `⏸️ Payments paused since ${new Date(paused.at).toISOString()}` : "▶️ Payments open"}\n` +
+      `🚨 Payouts: ${report.failed} failed, ${report.retrying} retrying\n` +
+      `📒 Reconciliation: ${reconciliation ? `${reconciliation.flagged ? "⚠️ flagged" : "✅ ok"} at ${new Date(reconciliation.at).toISOString()}` : "not run yet"}`
+  };
+}
+
+async function adminSkip(args, adminId) {
+  const from = phase;
+  const advanced = await advancePhase(`admin ${adminId}`);
+  if (!advanced) throw new Error("A phase change is already running - try again shortly");
+  return {
+    reply: `✅ ${from} → ${phase}\n⏰ Next change in ${phaseTimeLeft()}`,
+    detail: { from, to: phase }
+  };
+}
+
+async function adminExtend(args) {
+  const minutes = Number(args);
+  if (!args || !Number.isInteger(minutes)) throw new Error("Usage: /admin extend <minutes> (negative to shorten)");
+
+  const at = extendPhase(minutes);
+  return {
+    reply: `✅ ${phase} now ends in ${phaseTimeLeft()}\n🕐 ${new Date(at).toISOString()}`,
+    detail: { phase, minutes, endsAt: at }
+  };
+}
+
+async function adminRemove(args, adminId) {
+  const [query, option] = args.split(/\s+/);
+  if (!query) throw new Error("Usage: /admin remove <@user|userId|reference> [refund]");
+  if (!["submission", "voting"].includes(phase) || phaseTransitionRunning) {
+    throw new Error(`Tracks can't be removed during ${phase}`);
+  }
+
+  const entry = findCompetingEntry(query);
+  if (!entry) throw new Error(`No competing track found for ${query}`);
+
+  const { freedVoters, refund } = disqualifyEntry(entry, { adminId, refund: option === "refund" });
+
+  if (entry.messageId) {
+    try {
+      await bot.deleteMessage(entry.chatId, entry.messageId);
+    } catch (e) {
+      console.error("⚠️ Could not delete disqualified track post:", e.message);
+    }
+  }
+
+  try {
+    await bot.sendMessage(
+      entry.userId,
+      `🚫 Your track "${entry.title}" was removed from this round by the moderators.` +
+      (refund ? `\n\n↩️ Your ${refund.amount.toLocaleString()} XPOSURE prize pool contribution is being returned to your wallet.` : "")
+    );
+  } catch (e) {
+    console.error("⚠️ DM error:", e.message);
+  }
+
+  return {
+    reply: `🚫 Removed ${entry.user} - "${entry.title}"\n🗳️ ${freedVoters.length} ballot${freedVoters.length !== 1 ? "s" : ""} released` +
+      (refund ? `\n↩️ Refund queued: ${refund.amount.toLocaleString()} XPOSURE (${refund.id})` : option === "refund" ? `\n⚠️ Nothing to refund` : ""),
+    detail: { userId: entry.userId, reference: entry.reference, title: entry.title, freedVoters, refund: refund?.id || null }
+  };
+}
+
+async function adminMode(args) {
+  if (!VOTING_MODES[args]) throw new Error(`Usage: /admin mode <${Object.keys(VOTING_MODES).join("|")}>`);
+  if (phase !== "submission" || !cycleStartTime) throw new Error("The voting mode can only change before voting starts");
+
+  const from = roundVotingMode();
+  store.rounds.setVotingMode(cycleStartTime, args);
+  return {
+    reply: `✅ Round ${cycleStartTime} will vote as: ${VOTING_MODES[args].name}`,
+    detail: { round: cycleStartTime, from, to: args }
+  };
+}
+
+async function adminPause(args, adminId) {
+  if (store.meta.get("paymentsPaused")) throw new Error("Payments are already paused");
+  store.meta.set("paymentsPaused", { at: Date.now(), by: adminId });
+  return { reply: `⏸️ New payments paused. Sessions already open can still complete.\n\nResume with /admin resume` };
+}
+
+async function adminResume() {
+  if (!store.meta.get("paymentsPaused")) throw new Error("Payments are not paused");
+  store.meta.set("paymentsPaused", null);
+  return { reply: `▶️ Payments resumed` };
+}
+
+async function adminAnnounce(args) {
+  if (!args) throw new Error("Usage: /admin announce <message>");
+  await bot.sendMessage(`@${MAIN_CHANNEL}`, `📢 ${args}`);
+  return { reply: `✅ Posted to @${MAIN_CHANNEL}`, detail: { channel: MAIN_CHANNEL } };
+}
+
+async function adminPayouts() {
+  const report = getFailedPayoutReport();
+  if (!report.payouts.length) return { reply: `✅ No failed or retrying payouts.` };
+
+  const lines = report.payouts.slice(0, 20).map(p =>
+    `${p.status === "failed" ? "🚨" : "🔁"} ${p.id}\n   ${p.reason}: ${p.amount.toLocaleString()} ${p.kind === "sol" ? "SOL" : "XPOSURE"} → ${p.destination.substring(0, 8)}...\n   Attempts: ${p.attempts} | ${p.lastError || "pending"}`
+  );
+  const more = report.payouts.length > 20 ? `\n\n…and ${report.payouts.length - 20} more` : "";
+
+  return {
+    reply: `📋 Payout Report\n\n🚨 Failed: ${report.failed}\n🔁 Retrying: ${report.retrying}\n🪙 ${report.totalXPOSURE.toLocaleString()} XPOSURE | ${report.totalSOL.toFixed(4)} SOL outstanding\n\n${lines.join("\n\n")}${more}\n\nReplay with /admin retry <id>`
+  };
+}
+
+async function adminRetry(args) {
+  if (!args) throw new Error("Usage: /admin retry <id>");
+
+  const result = replayPayout(args);
+  if (!result.ok) throw new Error(result.error);
+
+  await processPayoutQueue();
+
+  const item = result.payout;
+  return {
+    reply: item.status === "confirmed"
+      ? `✅ Payout ${args} confirmed!\n🔗 https://solscan.io/tx/${item.signature}`
+      : `⚠️ Payout ${args} is ${item.status}${item.lastError ? `: ${item.lastError}` : ""}`,
+    detail: { id: args, status: item.status }
+  };
+}
+
+async function adminLog(args) {
+  const lines = store.audit.list(Math.min(parseInt(args) || 10, 50)).map(a =>
+    `${a.ok ? "✅" : "❌"} ${new Date(a.at).toISOString().slice(0, 16).replace("T", " ")} ${a.adminId}: ${a.action}${a.args ? ` ${a.args}` : ""}`
+  );
+  return { reply: `📜 Admin Audit Log\n\n${lines.join("\n") || "No admin actions yet."}` };
+}
+
+const ADMIN_COMMANDS = {
+  status: { usage: "status", run: adminStatus },
+  skip: { usage: "skip - end the current phase now", run: adminSkip },
+  extend: { usage: "extend <minutes>", run: adminExtend },
+  remove: { usage: "remove <@user|userId|reference> [refund]", run: adminRemove },
+  mode: { usage: `mode <${Object.keys(VOTING_MODES).join("|")}> - this round's voting`, run: adminMode },
+  pause: { usage: "pause - stop new payments", run: adminPause },
+  resume: { usage: "resume", run: adminResume },
+  announce: { usage: "announce <message>", run: adminAnnounce },
+  payouts: { usage: "payouts - failed payout report", run: adminPayouts },
+  retry: { usage: "retry <payout id>", run: adminRetry },
+  log: { usage: "log [count]", run: adminLog }
+};
+
+bot.onText(/^\/admin\b(?:\s+(\S+))?(?:\s+([\s\S]+))?/, async (msg, match) => {
+  if (msg.chat.type !== "private" || !isAdmin(msg.from.id)) return;
+
+  const adminId = String(msg.from.id);
+  const action = (match[1] || "").toLowerCase();
+  const args = (match[2] || "").trim();
+  const command = ADMIN_COMMANDS[action];
+
+  if (!command) {
+    const usage = Object.values(ADMIN_COMMANDS).map(c => `/admin ${c.usage}`).join("\n");
+    await bot.sendMessage(msg.chat.id, `🛡️ Admin Commands\n\n${usage}`);
+    return;
+  }
+
+  let result;
+  try {
+    result = await command.run(args, adminId);
+  } catch (err) {
+    result = { reply: `⚠️ ${err.message}`, error: err.message };
+  }
+
+  store.audit.append({ adminId, action, args, ok: !result.error, detail: result.detail || null, error: result.error || null });
+  console.log(`🛡️ Admin ${adminId}: ${action}${args ? ` ${args}` : ""} → ${result.error ? `failed: ${result.error}` : "ok"}`);
+
+  await bot.sendMessage(msg.chat.id, result.reply);
+});
+
 bot.on("message", async (msg) => {
   // Ignore non-private chats
   if (msg.chat.type !== "private") return;
 
   const userId = String(msg.from.id);
+
+  // Replies to a track details prompt (title, artist name, cover art)
+  if (await applyTrackEdit(msg)) return;
   
-  // Handle audio files (track uploads)
-  if (msg.audio) {
+  // Handle track uploads (audio, audio files sent as documents, voice notes)
+  const upload = uploadedAudio(msg);
+  if (upload) {
     const user = msg.from.username ? `@${msg.from.username}` : msg.from.first_name || "Unknown";
 
     if (phase !== "submission") {
@@ -1583,18 +4930,15 @@ bot.on("message", async (msg) => {
     }
 
     // === AUDIO FILE VALIDATION ===
-    const validTypes = ['.mp3', '.m4a', '.ogg', '.wav', '.flac', '.aac'];
-    const fileName = msg.audio.file_name || "";
-    if (fileName && !validTypes.some(ext => fileName.toLowerCase().endsWith(ext))) {
-      await bot.sendMessage(
-        userId,
-        `⚠️ Invalid audio format!\n\n✅ Accepted: MP3, M4A, OGG, WAV, FLAC, AAC\n❌ Your file: ${fileName}\n\nPlease upload a valid audio file.`
-      );
+    const invalid = checkUploadMetadata(upload);
+    if (invalid) {
+      await bot.sendMessage(userId, `⚠️ Upload rejected (${invalid.rule})\n\n❌ ${invalid.error}\n\nPlease upload a valid audio file.`);
       return;
     }
 
     // Check if user has chosen upload path
-    const uploadChoice = pendingPayments.find(p => p.userId === userId && p.choice === "upload" && !p.paid);
+    const openPayment = store.payments.findOpenByUser(userId);
+    const uploadChoice = openPayment?.choice === "upload" && !openPayment.paid ? openPayment : null;
     
     if (!uploadChoice) {
       await bot.sendMessage(
@@ -1613,8 +4957,7 @@ bot.on("message", async (msg) => {
       if (age > PAYMENT_TIMEOUT) {
         // Payment expired, allow new upload
         console.log(`🧹 Payment expired for ${userId}, allowing new upload`);
-        pendingPayments = pendingPayments.filter(p => p.userId !== userId);
-        saveState();
+        store.payments.setStatus(uploadChoice.reference, "expired");
         
         await bot.sendMessage(
           userId,
@@ -1631,7 +4974,7 @@ bot.on("message", async (msg) => {
     }
 
     // Check if already participated this round
-    const alreadyParticipated = participants.find(p => p.userId === userId);
+    const alreadyParticipated = cycleStartTime && store.entries.find(cycleStartTime, userId);
     if (alreadyParticipated) {
       await bot.sendMessage(
         userId,
@@ -1640,55 +4983,84 @@ bot.on("message", async (msg) => {
       return;
     }
 
+    // Content checks need the file itself
+    const inspected = await inspectUpload(upload);
+    if (!inspected.ok) {
+      await bot.sendMessage(userId, `⚠️ Upload rejected (${inspected.rule})\n\n❌ ${inspected.error}\n\nPlease upload a valid audio file.`);
+      return;
+    }
+
+    // === DUPLICATE CHECK ===
+    const title = upload.title;
+    const duplicate = checkDuplicateTrack({ reference: uploadChoice.reference, userId, title, buffer: inspected.buffer, audio: inspected.audio });
+    if (duplicate) {
+      const original = `${duplicate.title || "Untitled"} (${duplicate.roundId === cycleStartTime ? "this round" : `Round ${duplicate.roundId}`})`;
+      if (TRACK_POLICY.duplicates === "reject") {
+        await bot.sendMessage(
+          userId,
+          `⚠️ This track has already been entered!\n\n🎤 ${original}\n\nEach track can only compete once - please upload a different track.`
+        );
+        return;
+      }
+      uploadChoice.duplicateOf = duplicate;
+      await alertDuplicateTrack(user, title, duplicate);
+    }
+
     // Save the track with duration and creation time
-    uploadChoice.track = msg.audio.file_id;
-    uploadChoice.title = msg.audio.file_name || msg.audio.title || "Untitled";
-    uploadChoice.trackDuration = msg.audio.duration || 0;  // Duration in seconds
+    uploadChoice.track = upload.fileId;
+    uploadChoice.trackKind = upload.kind; // Picks the send method when the track is posted
+    uploadChoice.trackFormat = inspected.format;
+    uploadChoice.title = title;
+    if (upload.performer) uploadChoice.artist = upload.performer;
+    uploadChoice.trackDuration = inspected.duration;  // Duration in seconds
     uploadChoice.user = user;
     if (!uploadChoice.createdAt) {
       uploadChoice.createdAt = Date.now();  // Track when upload happened if not already set
     }
-    saveState();
+    store.payments.save(uploadChoice);
 
-    const reference = uploadChoice.reference;
-    const redirectLink = `https://sunolabs-redirect.onrender.com/pay?bot=xposure&recipient=${TREASURY.toBase58()}&amount=0.01&reference=${reference}&userId=${userId}`;
 
-    const durationText = uploadChoice.trackDuration > 0 ? ` (${uploadChoice.trackDuration}s)` : '';
+    const durationText = uploadChoice.trackDuration > 0 ? ` (${formatTrackLength(uploadChoice.trackDuration)})` : '';
     const timeLeft = Math.ceil(PAYMENT_TIMEOUT / 60000);
     
     await bot.sendMessage(
       userId,
-      `🎧 Track received!${durationText}\n\n🪙 Complete payment within ${timeLeft} minutes to enter!\n\n⏱️ Session expires if payment not completed.`,
+      `🎧 Track received!${durationText}\n\n🪙 Pick your tier and complete payment within ${timeLeft} minutes to enter!\n💰 Higher tiers keep more XPOSURE and earn a bigger prize multiplier.\n\n⏱️ Session expires if payment not completed.`,
       {
         reply_markup: {
-          inline_keyboard: [
-            [{ text: "🪙 Buy XPOSURE & Enter Competition", url: redirectLink }]
-          ]
+          inline_keyboard: tierKeyboard(uploadChoice.reference)
         }
       }
     );
+    await sendTrackCard(userId, uploadChoice);
     return;
   }
   
   // Handle /start command (already handled above, but just in case)
-  if (msg.text?.match(/^\/start|^play$/i)) {
+  if (msg.text?.match(/^\/start\b/)) {
     return; // Already handled by onText
   }
   
+  // Commands with their own onText handlers
+  if (msg.text?.match(/^\/(history|leaderboard|profile|verify|ballot|track)\b/)) {
+    return;
+  }
+  if (msg.text?.match(/^\/admin\b/) && isAdmin(msg.from.id)) {
+    return;
+  }
+  
   // Catch-all for any other text message
   if (msg.text) {
-    const now = Date.now();
     let phaseInfo = "";
     
     if (phase === "submission" && cycleStartTime) {
-      const submissionEndTime = cycleStartTime + (5 * 60 * 1000);
-      const timeRemaining = Math.max(0, submissionEndTime - now);
-      const minutesLeft = Math.ceil(timeRemaining / 60000);
-      phaseInfo = `\n\n⏰ Current round ends in ${minutesLeft} minute${minutesLeft !== 1 ? 's' : ''}!`;
+      phaseInfo = `\n\n⏰ Submissions close in ${phaseTimeLeft()}!`;
     } else if (phase === "voting") {
-      phaseInfo = `\n\n🗳️ Voting is currently active! Check @${CHANNEL}`;
+      phaseInfo = `\n\n🗳️ Voting is currently active for ${phaseTimeLeft()}! Check @${CHANNEL}`;
+    } else if (phase === "tallying") {
+      phaseInfo = `\n\n🏁 Voting has closed - results are being tallied!`;
     } else if (phase === "cooldown") {
-      phaseInfo = `\n\n⏰ New round starting soon!`;
+      phaseInfo = `\n\n⏰ New round starting in ${phaseTimeLeft()}!`;
     }
     
     await bot.sendMessage(
@@ -1708,56 +5080,58 @@ bot.on("callback_query", async (q) => {
         await bot.answerCallbackQuery(q.id, { text: "⚠️ Submission phase ended!" });
         return;
       }
+      if (store.meta.get("paymentsPaused")) {
+        await bot.answerCallbackQuery(q.id, { text: "⏸️ New entries are paused - try again shortly" });
+        return;
+      }
 
       // Check for existing pending payment
-      const existingPending = pendingPayments.find(p => p.userId === userKey);
+      const existingPending = store.payments.findOpenByUser(userKey);
       if (existingPending) {
         await bot.answerCallbackQuery(q.id, { text: "⚠️ Already in progress!" });
         return;
       }
 
       const reference = Keypair.generate().publicKey;
-      const redirectLink = `https://sunolabs-redirect.onrender.com/pay?bot=xposure&recipient=${TREASURY.toBase58()}&amount=0.01&reference=${reference.toBase58()}&userId=${userKey}`;
+      const displayName = q.from.username ? `@${q.from.username}` : q.from.first_name || "Unknown";
 
       if (action === "upload") {
         // User chose to upload track
-        pendingPayments.push({
+        store.payments.save({
           userId: userKey,
+          user: displayName,
           choice: "upload",
           reference: reference.toBase58(),
           confirmed: false,
           paid: false,
           createdAt: Date.now()  // Track when payment session started
         });
-        saveState();
 
         await bot.answerCallbackQuery(q.id, { text: "✅ Upload mode selected!" });
         await bot.sendMessage(
           userKey,
-          `🎤 Upload Track & Compete!\n\n📤 Send me your audio file now.\n\n⏱️ You have ${Math.ceil(PAYMENT_TIMEOUT / 60000)} minutes to upload and pay.`
+          `🎤 Upload Track & Compete!\n\n📤 Send me your audio file now.\n🎧 ${ACCEPTED_FORMATS} · ${formatTrackLength(TRACK_LIMITS.minDuration)}–${formatTrackLength(TRACK_LIMITS.maxDuration)} · up to ${TRACK_LIMITS.maxBytes / 1024 / 1024} MB\n\n⏱️ You have ${Math.ceil(PAYMENT_TIMEOUT / 60000)} minutes to upload and pay.`
         );
 
       } else if (action === "vote") {
         // User chose to vote only
-        pendingPayments.push({
+        store.payments.save({
           userId: userKey,
+          user: displayName,
           choice: "vote",
           reference: reference.toBase58(),
           confirmed: false,
           paid: false,
           createdAt: Date.now()  // Track when payment session started
         });
-        saveState();
 
         await bot.answerCallbackQuery(q.id, { text: "✅ Vote mode selected!" });
         await bot.sendMessage(
           userKey,
-          `🗳️ Vote Only & Earn!\n\n🪙 Buy XPOSURE tokens to participate!\n\n⏱️ Complete payment within ${Math.ceil(PAYMENT_TIMEOUT / 60000)} minutes.`,
+          `🗳️ Vote Only & Earn!\n\n🪙 Pick your tier to buy XPOSURE and join!\n💰 Higher tiers keep more XPOSURE and earn a bigger multiplier.\n\n⏱️ Complete payment within ${Math.ceil(PAYMENT_TIMEOUT / 60000)} minutes.`,
           {
             reply_markup: {
-              inline_keyboard: [
-                [{ text: "🪙 Buy XPOSURE & Join as Voter", url: redirectLink }]
-              ]
+              inline_keyboard: tierKeyboard(reference.toBase58())
             }
           }
         );
@@ -1766,36 +5140,33 @@ bot.on("callback_query", async (q) => {
       return;
     }
 
+    // Track details editor
+    if (q.data.startsWith("meta_") || q.data.startsWith("genre_")) {
+      await handleTrackCallback(q);
+      return;
+    }
+
+    // Ranked ballot being built in DM
+    if (q.data.startsWith("rank_") || q.data.startsWith("ballot_")) {
+      await handleBallotCallback(q);
+      return;
+    }
+
     // Handle voting on tracks
     if (q.data.startsWith("vote_")) {
       const [, userIdStr] = q.data.split("_");
       const targetId = String(userIdStr);
       const voterId = String(q.from.id);
       
-      const entry = participants.find((p) => String(p.userId) === targetId);
-      
-      if (!entry) {
-        await bot.answerCallbackQuery(q.id, { text: "⚠️ Not found" });
-        return;
-      }
-
-      if (entry.voters.includes(voterId)) {
-        await bot.answerCallbackQuery(q.id, { text: "⚠️ Already voted" });
+      const result = castVote(voterId, targetId);
+      if (!result.ok) {
+        await bot.answerCallbackQuery(q.id, { text: `⚠️ ${result.error}`, show_alert: true });
         return;
       }
 
-      entry.votes++;
-      entry.voters.push(voterId);
-      
-      const voter = voters.find(v => v.userId === voterId);
-      if (voter) {
-        voter.votedFor = targetId;
-      }
-      
-      saveState();
-
+      const { entry, previous } = result;
       try {
-        await bot.editMessageCaption(`${entry.tierBadge} ${entry.user} — ${entry.title}\n🔥 ${entry.votes}`, {
+        await bot.editMessageCaption(voteCaption(entry), {
           chat_id: q.message.chat.id,
           message_id: q.message.message_id,
           reply_markup: {
@@ -1803,8 +5174,22 @@ bot.on("callback_query", async (q) => {
           }
         });
       } catch {}
+
+      if (previous?.messageId) {
+        try {
+          await bot.editMessageCaption(voteCaption(previous), {
+            chat_id: previous.chatId,
+            message_id: previous.messageId,
+            reply_markup: {
+              inline_keyboard: [[{ text: "🔥 Vote", callback_data: `vote_${previous.userId}` }]]
+            }
+          });
+        } catch {}
+      }
       
-      await bot.answerCallbackQuery(q.id, { text: "✅ Voted!" });
+      await bot.answerCallbackQuery(q.id, {
+        text: previous ? `✅ Vote moved from ${previous.title}!` : result.note ? `✅ ${result.note}` : "✅ Voted!"
+      });
     }
   } catch (err) {
     console.error("⚠️ Callback error:", err.message);
@@ -1816,19 +5201,17 @@ app.listen(PORT, async () => {
   console.log(`🌐 Xposure Buy XPOSURE Bot on port ${PORT}`);
   
   loadState();
+  processPayoutQueue(); // Recover and send anything queued before the restart
   
-  // Initialize actual treasury balance from blockchain if not set
-  if (actualTreasuryBalance === 0) {
-    console.log(`🔍 Fetching actual treasury balance from blockchain...`);
-    actualTreasuryBalance = await getActualTreasuryBalance();
-    saveState();
-  }
+  // Book existing balances (fetched from the blockchain if unset) as the ledger's opening entry
+  await openLedgerIfEmpty();
+  reconcileTreasury();
   
   console.log(`💰 Current round pool: ${treasuryXPOSURE.toLocaleString()} XPOSURE`);
   console.log(`🏦 Actual treasury: ${actualTreasuryBalance.toLocaleString()} XPOSURE`);
   console.log(`🎰 Bonus prize: ${calculateTreasuryBonus().toLocaleString()} XPOSURE (${(getTreasuryBonusPercentage() * 100).toFixed(0)}%)`);
   
-  const webhookUrl = `https://xposure-bot.onrender.com/webhook/${token}`;
+  const webhookUrl = `${PUBLIC_URL}/webhook/${token}`;
   try {
     await bot.deleteWebHook();
     await new Promise(resolve => setTimeout(resolve, 1000));
@@ -1838,41 +5221,24 @@ app.listen(PORT, async () => {
     console.error("❌ Webhook failed:", err.message);
   }
   
-  const now = Date.now();
-  
-  if (!cycleStartTime || phase === "cooldown") {
-    console.log("🚀 Starting new cycle in 3 seconds...");
-    setTimeout(() => startNewCycle(), 3000);
-  } else if (phase === "submission") {
-    const timeLeft = (cycleStartTime + 12 * 60 * 60 * 1000) - now;
-    if (timeLeft <= 0) {
-      setTimeout(() => startVoting(), 1000);
-    } else {
-      const hoursLeft = Math.floor(timeLeft / (60 * 60 * 1000));
-      const minutesLeft = Math.ceil((timeLeft % (60 * 60 * 1000)) / 60000);
-      console.log(`⏰ Resuming submission (${hoursLeft}h ${minutesLeft}m left)`);
-      setTimeout(() => startVoting(), timeLeft);
-    }
-  } else if (phase === "voting") {
-    const timeLeft = nextPhaseTime - now;
-    if (timeLeft <= 0) {
-      setTimeout(() => announceWinners(), 1000);
-    } else {
-      console.log(`⏰ Resuming voting (${Math.ceil(timeLeft / 60000)}m left)`);
-      setTimeout(() => announceWinners(), timeLeft);
-    }
+  if (!cycleStartTime && !nextPhaseTime) {
+    // First boot: open a round shortly, or at the first scheduled slot
+    phase = "cooldown";
+    nextPhaseTime = SCHEDULE.cron ? nextRoundStart() : Date.now() + 3000;
   }
+  console.log(`⏰ Resuming ${phase} (${phaseTimeLeft()} left)`);
+  schedulePhase();
 });
 
 setInterval(() => {
-  console.log(`⏰ Phase: ${phase} | Uploaders: ${participants.filter(p => p.choice === "upload").length} | Voters: ${voters.length} | Pending: ${pendingPayments.length}`);
+  console.log(`⏰ Phase: ${phase} | Uploaders: ${competingEntries().length} | Voters: ${roundVoters().length} | Pending: ${store.payments.open().length}`);
 }, 30000);
 
 // === SELF-PING TO PREVENT RENDER SLEEP ===
 // Ping self every 10 minutes to keep service awake on free tier
 setInterval(async () => {
   try {
-    const response = await fetch('https://xposure-bot.onrender.com/');
+    const response = await fetch(`${PUBLIC_URL}/`);
     console.log('🏓 Self-ping successful - service kept awake');
   } catch (e) {
     console.log('⚠️ Self-ping failed:', e.message);
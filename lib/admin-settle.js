@@ -0,0 +1,24 @@
+// === ADMIN FORCE-SETTLE ===
+// What POST /admin/payments/:reference/settle does with a stored payment:
+// resume a stalled settlement now, or look the reference up on-chain and
+// settle it when the confirmation never arrived. Settlement and chain access
+// are passed in so the route runs the same against a mocked Connection.
+import { findReferencePayment } from "./payment-verification.js";
+
+// Returns { status, body } like settlePayment and resumeSettlement
+export async function forceSettlePayment(payment, { connection, treasury, isSettlementOpen, resumeSettlement, settlePayment }) {
+  if (payment.settlement && !isSettlementOpen(payment)) {
+    return { status: 409, body: { error: `Payment already ${payment.settlement.state}`, code: "ALREADY_SETTLED" } };
+  }
+
+  if (isSettlementOpen(payment)) {
+    delete payment.settlement.nextRetryAt; // Skip any backoff
+    return resumeSettlement(payment);
+  }
+
+  const found = await findReferencePayment(payment.reference, { connection, treasury });
+  if (!found) {
+    return { status: 404, body: { error: "No finalized transfer found for this reference", code: "TRANSFER_NOT_FOUND" } };
+  }
+  return settlePayment({ ...found, reference: payment.reference, userId: payment.userId, source: "admin" });
+}
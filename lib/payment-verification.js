@@ -0,0 +1,149 @@
+// === ON-CHAIN PAYMENT VERIFICATION ===
+// Checks a claimed payment against the chain before anything is settled. The
+// RPC connection and the treasury address are passed in, so the checks run
+// the same against a live cluster or a mocked Connection.
+import { PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+
+export const LAMPORTS_PER_SOL = 1e9;
+
+// HTTP status returned by /confirm-payment for each verification failure code
+export const PAYMENT_ERROR_STATUS = {
+  INVALID_SIGNATURE: 400,
+  SIGNATURE_REUSED: 409,
+  TX_NOT_FOUND: 404,
+  TX_NOT_FINALIZED: 409,
+  TX_FAILED: 422,
+  REFERENCE_MISMATCH: 422,
+  TRANSFER_NOT_FOUND: 422,
+  AMOUNT_MISMATCH: 422,
+  TX_LOOKUP_FAILED: 502
+};
+
+// Collect every SOL transfer into the treasury (top-level and inner instructions)
+export function extractTreasuryTransfers(tx, treasury) {
+  const instructions = [
+    ...tx.transaction.message.instructions,
+    ...(tx.meta?.innerInstructions || []).flatMap(inner => inner.instructions)
+  ];
+
+  const transfers = [];
+  for (const ix of instructions) {
+    if (ix.program !== "system" || !ix.parsed) continue;
+
+    const { type, info } = ix.parsed;
+    if (type !== "transfer" && type !== "transferWithSeed") continue;
+    if (info.destination !== treasury.toBase58()) continue;
+
+    transfers.push({ source: info.source, lamports: Number(info.lamports) });
+  }
+  return transfers;
+}
+
+export function transactionHasAccount(tx, address) {
+  return tx.transaction.message.accountKeys.some(k => k.pubkey.toBase58() === address);
+}
+
+export function isValidSignature(signature) {
+  try {
+    return typeof signature === "string" && bs58.decode(signature).length === 64;
+  } catch {
+    return false;
+  }
+}
+
+// === VERIFY A PAYMENT TRANSACTION ON-CHAIN ===
+// Checks that the signature hasn't settled another reference (when
+// findBySignature is given), is finalized, succeeded, carries the reference
+// key and moves at least `amount` SOL from senderWallet to the treasury.
+export async function verifyPaymentTransaction({ signature, reference, senderWallet, amount }, { connection, treasury, findBySignature = null }) {
+  if (!isValidSignature(signature)) {
+    return { ok: false, code: "INVALID_SIGNATURE", error: "Invalid transaction signature" };
+  }
+
+  // A signature can only settle one reference
+  const reused = findBySignature?.(signature);
+  if (reused && reused.reference !== reference) {
+    return { ok: false, code: "SIGNATURE_REUSED", error: "Signature already used for another payment" };
+  }
+
+  let tx;
+  try {
+    tx = await connection.getParsedTransaction(signature, {
+      commitment: "finalized",
+      maxSupportedTransactionVersion: 0
+    });
+
+    if (!tx) {
+      const status = await connection.getSignatureStatus(signature, { searchTransactionHistory: true });
+      if (status?.value && !status.value.err) {
+        return { ok: false, code: "TX_NOT_FINALIZED", error: "Transaction not finalized yet, retry shortly" };
+      }
+      if (status?.value?.err) {
+        return { ok: false, code: "TX_FAILED", error: "Transaction failed on-chain" };
+      }
+      return { ok: false, code: "TX_NOT_FOUND", error: "Transaction not found" };
+    }
+  } catch (err) {
+    console.error(`⚠️ Transaction lookup failed: ${err.message}`);
+    return { ok: false, code: "TX_LOOKUP_FAILED", error: "Could not fetch transaction" };
+  }
+
+  if (tx.meta?.err) {
+    return { ok: false, code: "TX_FAILED", error: "Transaction failed on-chain" };
+  }
+
+  if (!transactionHasAccount(tx, reference)) {
+    return { ok: false, code: "REFERENCE_MISMATCH", error: "Transaction does not carry the payment reference" };
+  }
+
+  const transfers = extractTreasuryTransfers(tx, treasury).filter(t => t.source === senderWallet);
+  if (!transfers.length) {
+    return { ok: false, code: "TRANSFER_NOT_FOUND", error: "No transfer from sender wallet to treasury" };
+  }
+
+  const lamports = transfers.reduce((sum, t) => sum + t.lamports, 0);
+  const expectedLamports = Math.round(amount * LAMPORTS_PER_SOL);
+  if (lamports < expectedLamports) {
+    return {
+      ok: false,
+      code: "AMOUNT_MISMATCH",
+      error: `Transfer of ${lamports / LAMPORTS_PER_SOL} SOL is less than claimed ${amount} SOL`
+    };
+  }
+
+  return { ok: true, lamports, amount: lamports / LAMPORTS_PER_SOL };
+}
+
+// === FIND A PAYMENT BY REFERENCE ===
+// The first finalized, successful transfer into the treasury among the
+// reference's recent signatures: { signature, senderWallet, amount } or null.
+export async function findReferencePayment(reference, { connection, treasury }) {
+  const signatures = await connection.getSignaturesForAddress(
+    new PublicKey(reference),
+    { limit: 10 },
+    "finalized"
+  );
+
+  for (const { signature, err } of signatures) {
+    if (err) continue;
+
+    const tx = await connection.getParsedTransaction(signature, {
+      commitment: "finalized",
+      maxSupportedTransactionVersion: 0
+    });
+    if (!tx || tx.meta?.err) continue;
+
+    const transfers = extractTreasuryTransfers(tx, treasury);
+    if (!transfers.length) continue;
+
+    const senderWallet = transfers[0].source;
+    const lamports = transfers
+      .filter(t => t.source === senderWallet)
+      .reduce((sum, t) => sum + t.lamports, 0);
+
+    return { signature, senderWallet, amount: lamports / LAMPORTS_PER_SOL };
+  }
+
+  return null;
+}
@@ -0,0 +1,129 @@
+// === RANKING ===
+// Turns a round's votes into a standing and its prize pool into prizes. Pure
+// functions over plain entry and vote rows, so every step of the ordering can
+// be replayed from the round archive.
+import crypto from "crypto";
+
+// Ranked ballots rank this many tracks; a pick's vote row counts RANKED_PICKS
+// for the first choice down to 1 for the last (its Borda points)
+export const RANKED_PICKS = 3;
+
+// Each mode's score, read from an entry's tally. Ranked rounds count by
+// instant-runoff ("irv") or Borda points ("borda").
+export const VOTING_MODES = {
+  one: { name: "One person, one vote", score: (t) => t.votes },
+  stake: { name: "Stake-weighted", score: (t) => t.stake },
+  quadratic: { name: "Quadratic", score: (t) => t.weight },
+  ranked: {
+    name: "Ranked choice",
+    score: (t, { rankedMethod = "irv" } = {}) => rankedMethod === "borda" ? t.weight : t.runoffRound
+  }
+};
+
+// Entries are ordered by this tie-break chain; each step is only consulted
+// when every earlier one is equal:
+//   1. Score in the round's voting mode (see VOTING_MODES)
+//   2. Voters - how many people voted for the entry
+//   3. Stake-weighted votes - lamports paid in by the entry's voters
+//   4. Earliest vote reached - who got to their final count first
+//   5. Random draw - sha256(seed:userId), lowest first. The seed is a finalized
+//      blockhash archived with the round, so anyone can recompute the order.
+// Entries still level after step 4 are co-ranked: they split the prize slots
+// they cover evenly, and the draw only decides their display order.
+export const PRIZE_WEIGHTS = [0.40, 0.25, 0.20, 0.10, 0.05];
+
+export function drawKey(seed, userId) {
+  return crypto.createHash("sha256").update(`${seed}:${userId}`).digest("hex");
+}
+
+// Voters, stake, quadratic weight, the mode's score and the time each entry
+// reached its final count. votes: the round's vote rows; stakeOf(voterId):
+// lamports that voter paid in.
+export function tallyVotes(entries, votes, { mode = "one", stakeOf = () => 0, rankedMethod = "irv" } = {}) {
+  const runoff = mode === "ranked" ? instantRunoff(votes, entries) : null;
+
+  return entries.map(e => {
+    const received = votes.filter(v => v.entry_user_id === e.userId);
+    const tally = {
+      votes: received.length,
+      stake: received.reduce((sum, v) => sum + stakeOf(v.voter_id), 0),
+      weight: received.reduce((sum, v) => sum + v.count, 0),
+      reachedAt: received.length ? Math.max(...received.map(v => v.created_at)) : null,
+      ...runoff?.get(e.userId)
+    };
+    return { ...e, ...tally, score: VOTING_MODES[mode].score(tally, { rankedMethod }) };
+  });
+}
+
+// Instant-runoff over ranked ballots. Each round counts every ballot for its
+// highest-ranked track still standing and eliminates the lowest count (ties go
+// out together). userId → { runoffRound, runoffVotes }: the round a track went
+// out in - the last one for the winner - and its count in that round.
+export function instantRunoff(votes, entries) {
+  const ids = new Set(entries.map(e => e.userId));
+  const ballots = new Map();
+  for (const v of votes) {
+    if (!ids.has(v.entry_user_id)) continue; // Picks that left the round drop out
+    if (!ballots.has(v.voter_id)) ballots.set(v.voter_id, []);
+    ballots.get(v.voter_id).push(v);
+  }
+  const orders = [...ballots.values()].map(rows => rows.sort((a, b) => b.count - a.count).map(v => v.entry_user_id));
+
+  const result = new Map();
+  const standing = new Set(ids);
+  for (let round = 1; standing.size; round++) {
+    const counts = new Map([...standing].map(id => [id, 0]));
+    for (const order of orders) {
+      const top = order.find(id => standing.has(id));
+      if (top) counts.set(top, counts.get(top) + 1);
+    }
+
+    const lowest = Math.min(...counts.values());
+    for (const [id, count] of counts) {
+      if (count !== lowest) continue;
+      result.set(id, { runoffRound: round, runoffVotes: count });
+      standing.delete(id);
+    }
+  }
+  return result;
+}
+
+// entries: [{ userId, score, votes, stake, reachedAt }]. Returns them best first with
+// `position` (1..n), `rank` (shared by co-ranked entries) and `drawKey`.
+export function rankEntries(entries, seed) {
+  const reached = (e) => e.reachedAt ?? Infinity; // No votes sorts last
+  const compareStanding = (a, b) =>
+    (b.score - a.score) ||
+    (b.votes - a.votes) ||
+    (b.stake - a.stake) ||
+    (reached(a) === reached(b) ? 0 : reached(a) - reached(b));
+
+  const ranked = entries
+    .map(e => ({ ...e, drawKey: drawKey(seed, e.userId) }))
+    .sort((a, b) => compareStanding(a, b) || a.drawKey.localeCompare(b.drawKey));
+
+  ranked.forEach((e, i) => {
+    e.position = i + 1;
+    e.rank = i > 0 && compareStanding(ranked[i - 1], e) === 0 ? ranked[i - 1].rank : i + 1;
+  });
+  return ranked;
+}
+
+// userId → base prize (before tier multiplier) for every entry in a paying
+// slot. Co-ranked entries pool the weights of the slots they occupy.
+export function allocatePrizes(ranked, prizePool, weights = PRIZE_WEIGHTS) {
+  const prizes = new Map();
+
+  for (let i = 0; i < ranked.length;) {
+    let j = i;
+    while (j + 1 < ranked.length && ranked[j + 1].rank === ranked[i].rank) j++;
+
+    const slotWeight = weights.slice(i, j + 1).reduce((sum, w) => sum + w, 0);
+    if (slotWeight > 0) {
+      const share = Math.floor(prizePool * slotWeight / (j - i + 1));
+      for (let k = i; k <= j; k++) prizes.set(ranked[k].userId, share);
+    }
+    i = j + 1;
+  }
+  return prizes;
+}
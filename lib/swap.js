@@ -0,0 +1,787 @@
+// === SWAP VENUES ===
+// Buys XPOSURE into the treasury on whichever venue gives the best quote.
+// Every venue takes the same `deps`:
+//   connection - Solana RPC connection
+//   fetch      - HTTP client used for every venue API call
+//   treasury   - treasury Keypair that pays for and signs the swap
+//   mint       - XPOSURE mint PublicKey
+//   sleep      - waits before re-reading balances (instant in tests)
+// so quotes and swaps can be replayed from fixtures against a mocked Connection.
+import {
+  PublicKey,
+  SystemProgram,
+  Transaction,
+  ComputeBudgetProgram,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import {
+  getAssociatedTokenAddress,
+  createAssociatedTokenAccountInstruction,
+  TOKEN_PROGRAM_ID,
+} from "@solana/spl-token";
+
+const LAMPORTS_PER_SOL = 1e9;
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+const JUPITER_API = "https://quote-api.jup.ag/v6";
+
+const defaultSleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// === CHECK IF TOKEN HAS BONDED ===
+export async function checkIfBonded({ connection, mint }) {
+  try {
+    console.log("🔍 Checking if XPOSURE has graduated from pump.fun...");
+
+    // Derive bonding curve PDA
+    const [bondingCurve] = PublicKey.findProgramAddressSync(
+      [Buffer.from("bonding-curve"), mint.toBuffer()],
+      PUMP_PROGRAM_ID
+    );
+
+    const accountInfo = await connection.getAccountInfo(bondingCurve);
+
+    if (!accountInfo) {
+      console.log("✅ Token has graduated (no bonding curve account found)");
+      return true;
+    }
+
+    // Check if account has enough data
+    if (!accountInfo.data || accountInfo.data.length < 9) {
+      console.log("✅ Token has graduated (invalid bonding curve data)");
+      return true;
+    }
+
+    // Check if bonding curve is complete (byte at position 8)
+    const complete = accountInfo.data[8];
+
+    if (complete === 1) {
+      console.log("✅ Bonding curve complete! Token graduated to Raydium.");
+      return true;
+    }
+
+    // Additional check: if account exists but complete flag is 0, it's still bonding
+    console.log("📊 Token still on pump.fun bonding curve (complete flag = 0)");
+    return false;
+
+  } catch (err) {
+    console.error(`⚠️ Bond check error: ${err.message}. Defaulting to graduated (safer)...`);
+    return true; // Default to graduated if check fails
+  }
+}
+
+// === TRADE POLICY ===
+// One place for slippage, priority fee and compute-unit pricing. Slippage
+// tightens linearly from SLIPPAGE_PCT to SLIPPAGE_MIN_PCT as a buy grows to
+// SLIPPAGE_SCALE_SOL; the priority fee grows with size up to its cap.
+// Settings are checked when the module loads, so a typo stops the bot at
+// startup instead of surfacing as a NaN price bound in the middle of a buy.
+function policySetting(name, fallback, { max = Infinity, integer = false } = {}) {
+  const value = Number(process.env[name] || fallback);
+  if (!Number.isFinite(value) || value < 0 || value > max || (integer && !Number.isInteger(value))) {
+    const range = max === Infinity ? "" : ` up to ${max}`;
+    throw new Error(`${name} must be a non-negative ${integer ? "integer" : "number"}${range}`);
+  }
+  return value;
+}
+
+export const TRADE_POLICY = {
+  slippagePct: policySetting("SLIPPAGE_PCT", 10, { max: 100 }),
+  slippageMinPct: policySetting("SLIPPAGE_MIN_PCT", 3, { max: 100 }),
+  slippageScaleSol: policySetting("SLIPPAGE_SCALE_SOL", 5),
+  priorityFeeSol: policySetting("PRIORITY_FEE_SOL", 0.0001),
+  priorityFeePerSol: policySetting("PRIORITY_FEE_PER_SOL", 0.0002),
+  maxPriorityFeeSol: policySetting("MAX_PRIORITY_FEE_SOL", 0.001),
+  computeUnitPrice: policySetting("COMPUTE_UNIT_PRICE", 100000, { integer: true }), // microLamports per CU
+  computeUnitLimit: policySetting("COMPUTE_UNIT_LIMIT", 200000, { integer: true })
+};
+
+export function getTradePolicy(solAmount) {
+  const scale = Math.min(1, solAmount / TRADE_POLICY.slippageScaleSol);
+  const slippagePct = TRADE_POLICY.slippagePct - (TRADE_POLICY.slippagePct - TRADE_POLICY.slippageMinPct) * scale;
+  const slippageBps = Math.round(slippagePct * 100);
+
+  const priorityFeeSol = Math.min(
+    TRADE_POLICY.priorityFeeSol + TRADE_POLICY.priorityFeePerSol * solAmount,
+    TRADE_POLICY.maxPriorityFeeSol
+  );
+
+  return {
+    slippagePct: Math.round(slippagePct * 100) / 100,
+    slippageBps,
+    priorityFeeSol,
+    priorityFeeLamports: Math.floor(priorityFeeSol * 1e9),
+    computeUnitPrice: TRADE_POLICY.computeUnitPrice,
+    computeUnitLimit: TRADE_POLICY.computeUnitLimit
+  };
+}
+
+// Venue errors meaning the price moved past our bound - abort and refund, never retry elsewhere
+const SLIPPAGE_ERROR_NAMES = ["TooMuchSolRequired", "SlippageToleranceExceeded", "ExceededSlippage"];
+const PUMP_TOO_MUCH_SOL_REQUIRED = 6002;
+
+export function isSlippageError(err) {
+  if (err?.code === "SLIPPAGE_EXCEEDED") return true;
+  const text = [err?.message, ...(err?.logs || [])].join("\n");
+  return SLIPPAGE_ERROR_NAMES.some(name => text.includes(name));
+}
+
+export function slippageExceededError(detail) {
+  const err = new Error(`Max SOL cost exceeded: ${detail}`);
+  err.code = "SLIPPAGE_EXCEEDED";
+  return err;
+}
+
+// Whole XPOSURE held by the treasury's token account (0 before it exists)
+async function getTreasuryTokenBalance({ connection, treasury, mint }) {
+  const treasuryTokenAccount = await getAssociatedTokenAddress(mint, treasury.publicKey);
+  const balance = await connection.getTokenAccountBalance(treasuryTokenAccount);
+  return Math.floor(parseFloat(balance.value.uiAmount || 0));
+}
+
+// === PUMP.FUN BUY (Using PumpPortal API) ===
+// Documentation: https://pumpportal.fun/api/trade-local
+export async function buyOnPumpFun(solAmount, onSubmitted = null, deps) {
+  const { connection, fetch, treasury, mint, sleep = defaultSleep } = deps;
+  try {
+    console.log(`🚀 Starting pump.fun buy with PumpPortal API: ${solAmount.toFixed(4)} SOL`);
+    console.log(`📍 Buying to treasury, will split XPOSURE after...`);
+
+    // Get treasury balance BEFORE purchase for accurate tracking
+    let balanceBefore = 0;
+    try {
+      balanceBefore = await getTreasuryTokenBalance(deps);
+      console.log(`💰 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} XPOSURE`);
+    } catch (e) {
+      console.log(`💰 Treasury balance BEFORE: 0 XPOSURE (account doesn't exist yet)`);
+      balanceBefore = 0;
+    }
+
+    const policy = getTradePolicy(solAmount);
+    console.log(`⚙️ Slippage ${policy.slippagePct}% | Priority fee ${policy.priorityFeeSol} SOL`);
+
+    // Get transaction from PumpPortal
+    console.log("📊 Getting PumpPortal transaction...");
+    const quoteResponse = await fetch(`https://pumpportal.fun/api/trade-local`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json"
+      },
+      body: JSON.stringify({
+        publicKey: treasury.publicKey.toBase58(),
+        action: "buy",
+        mint: mint.toBase58(),
+        denominatedInSol: "true",
+        amount: solAmount,
+        slippage: policy.slippagePct,
+        priorityFee: policy.priorityFeeSol,
+        pool: "auto"  // Auto-detect pump.fun or Raydium
+      })
+    });
+
+    if (!quoteResponse.ok) {
+      const errorText = await quoteResponse.text();
+      throw new Error(`PumpPortal request failed: ${quoteResponse.status} - ${errorText}`);
+    }
+
+    // PumpPortal returns raw binary transaction data (not base64!)
+    const txData = await quoteResponse.arrayBuffer();
+    console.log(`✅ Got transaction data (${txData.byteLength} bytes)`);
+
+    // Deserialize and sign transaction
+    console.log("🔓 Deserializing transaction...");
+    const tx = VersionedTransaction.deserialize(new Uint8Array(txData));
+    tx.sign([treasury]);
+
+    // Send transaction
+    console.log("📤 Sending buy transaction...");
+    const sig = await connection.sendRawTransaction(tx.serialize(), {
+      skipPreflight: false,
+      preflightCommitment: 'confirmed',
+      maxRetries: 3
+    });
+    if (onSubmitted) onSubmitted(sig);
+
+    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
+    console.log(`🔗 https://solscan.io/tx/${sig}`);
+    console.log("⏳ Confirming transaction...");
+
+    await connection.confirmTransaction(sig, "confirmed");
+
+    console.log(`✅ Pump.fun buy complete!`);
+
+    // Get balance AFTER purchase
+    await sleep(3000);
+
+    const balanceAfter = await getTreasuryTokenBalance(deps);
+
+    const xposureReceived = balanceAfter - balanceBefore;
+    console.log(`🪙 Treasury received ${xposureReceived.toLocaleString()} XPOSURE`);
+    console.log(`📊 Treasury total balance: ${balanceAfter.toLocaleString()} XPOSURE`);
+
+    return { xposureReceived };
+
+  } catch (err) {
+    console.error(`❌ Pump.fun buy failed: ${err.message}`);
+    console.error(err.stack);
+    throw err;
+  }
+}
+
+// === PUMPSWAP BUY (for graduated tokens) ===
+export async function buyOnPumpSwap(solAmount, onSubmitted = null, deps) {
+  const { connection, fetch, treasury, mint, sleep = defaultSleep } = deps;
+  try {
+    console.log(`🎓 Starting PumpSwap buy: ${solAmount.toFixed(4)} SOL → XPOSURE`);
+    console.log(`📍 Token graduated - using pumpapi.fun...`);
+
+    // Get treasury balance BEFORE purchase
+    let balanceBefore = 0;
+    try {
+      balanceBefore = await getTreasuryTokenBalance(deps);
+      console.log(`💰 Treasury balance before: ${balanceBefore.toLocaleString()} XPOSURE`);
+    } catch (e) {
+      console.log(`💰 Treasury balance before: 0 XPOSURE (account doesn't exist yet)`);
+      balanceBefore = 0;
+    }
+
+    const policy = getTradePolicy(solAmount);
+    console.log(`⚙️ Slippage ${policy.slippagePct}% | Priority fee ${policy.priorityFeeSol} SOL`);
+
+    // Step 1: Get quote from PumpSwap
+    console.log("📊 Getting PumpSwap quote...");
+    const quoteResponse = await fetch('https://pumpapi.fun/api/trade', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        action: 'buy',
+        mint: mint.toBase58(),
+        amount: solAmount,
+        denominatedInSol: 'true',
+        slippage: policy.slippagePct,
+        priorityFee: policy.priorityFeeSol,
+        publicKey: treasury.publicKey.toBase58()
+      })
+    });
+
+    if (!quoteResponse.ok) {
+      const errorText = await quoteResponse.text();
+      throw new Error(`PumpSwap quote failed: ${quoteResponse.status} - ${errorText}`);
+    }
+
+    const quoteData = await quoteResponse.json();
+
+    if (!quoteData.success || !quoteData.transaction) {
+      throw new Error(`PumpSwap quote failed: ${quoteData.error || 'No transaction returned'}`);
+    }
+
+    console.log(`✅ PumpSwap quote received`);
+
+    // Step 2: Deserialize, sign & send transaction
+    console.log("🔓 Deserializing transaction...");
+    const txData = Buffer.from(quoteData.transaction, 'base64');
+    const tx = VersionedTransaction.deserialize(txData);
+    tx.sign([treasury]);
+
+    console.log("📤 Sending swap transaction...");
+    const sig = await connection.sendRawTransaction(tx.serialize(), {
+      skipPreflight: false,
+      preflightCommitment: 'confirmed',
+      maxRetries: 3
+    });
+    if (onSubmitted) onSubmitted(sig);
+
+    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
+    console.log(`🔗 https://solscan.io/tx/${sig}`);
+    console.log("⏳ Confirming transaction...");
+
+    await connection.confirmTransaction(sig, 'confirmed');
+
+    console.log(`✅ PumpSwap buy complete!`);
+
+    // Get balance AFTER purchase
+    await sleep(3000); // Wait for balance update
+    const balanceAfter = await getTreasuryTokenBalance(deps);
+
+    const xposureReceived = balanceAfter - balanceBefore;
+    console.log(`🪙 Treasury received ${xposureReceived.toLocaleString()} XPOSURE`);
+
+    return { xposureReceived };
+
+  } catch (err) {
+    console.error(`❌ PumpSwap buy failed: ${err.message}`);
+    console.error(err.stack);
+    throw err;
+  }
+}
+
+// === JUPITER QUOTE ===
+// Raw v6 quote response for swapping solAmount SOL into XPOSURE
+export async function fetchJupiterQuote(solAmount, { fetch, mint }) {
+  const lamports = Math.floor(solAmount * LAMPORTS_PER_SOL);
+  const { slippageBps } = getTradePolicy(solAmount);
+  const response = await fetch(
+    `${JUPITER_API}/quote?inputMint=${WSOL_MINT}&outputMint=${mint.toBase58()}&amount=${lamports}&slippageBps=${slippageBps}`
+  );
+
+  if (!response.ok) {
+    throw new Error(`Jupiter quote request failed: ${response.status} ${response.statusText}`);
+  }
+
+  const quoteData = await response.json();
+  if (!quoteData || quoteData.error) {
+    throw new Error(`Quote failed: ${quoteData?.error || 'Unknown error'}`);
+  }
+
+  return quoteData;
+}
+
+export async function getJupiterQuote(solAmount, deps) {
+  const quoteData = await fetchJupiterQuote(solAmount, deps);
+  return Math.floor(parseInt(quoteData.outAmount) / 1_000_000);
+}
+
+// === JUPITER SWAP ===
+export async function buyOnJupiter(solAmount, onSubmitted = null, deps) {
+  const { connection, fetch, treasury, mint } = deps;
+  try {
+    console.log(`🪐 Starting Jupiter swap: ${solAmount.toFixed(4)} SOL → XPOSURE`);
+    console.log(`📍 Buying to treasury, will split XPOSURE after...`);
+
+    const policy = getTradePolicy(solAmount);
+    console.log(`⚙️ Slippage ${policy.slippageBps} bps | Max priority fee ${policy.priorityFeeLamports} lamports`);
+
+    // Get treasury's token account (where tokens will go)
+    const treasuryTokenAccount = await getAssociatedTokenAddress(
+      mint,
+      treasury.publicKey
+    );
+
+    console.log(`📍 Treasury token account: ${treasuryTokenAccount.toBase58().substring(0, 8)}...`);
+
+    // Get quote from Jupiter
+    console.log("📊 Getting Jupiter quote...");
+    const quoteData = await fetchJupiterQuote(solAmount, deps);
+
+    // Jupiter returns raw amount - convert to XPOSURE
+    const rawOutAmount = parseInt(quoteData.outAmount);
+    const outAmount = Math.floor(rawOutAmount / 1_000_000); // Convert to XPOSURE (6 decimals)
+    console.log(`💎 Quote received: ${outAmount.toLocaleString()} XPOSURE`);
+
+    // Get swap transaction (to treasury's token account)
+    console.log("🔨 Building swap transaction...");
+    const swapResponse = await fetch(`${JUPITER_API}/swap`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        quoteResponse: quoteData,
+        userPublicKey: treasury.publicKey.toBase58(),
+        destinationTokenAccount: treasuryTokenAccount.toBase58(),
+        wrapAndUnwrapSol: true,
+        dynamicComputeUnitLimit: true,
+        prioritizationFeeLamports: {
+          priorityLevelWithMaxLamports: {
+            maxLamports: policy.priorityFeeLamports,
+            priorityLevel: "high"
+          }
+        }
+      })
+    });
+
+    if (!swapResponse.ok) {
+      throw new Error(`Jupiter swap request failed: ${swapResponse.status} ${swapResponse.statusText}`);
+    }
+
+    const swapData = await swapResponse.json();
+
+    if (!swapData.swapTransaction) {
+      throw new Error('No swap transaction returned from Jupiter');
+    }
+
+    console.log("✍️ Signing and sending transaction...");
+
+    // Deserialize and sign
+    const swapTransactionBuf = Buffer.from(swapData.swapTransaction, 'base64');
+    const transaction = VersionedTransaction.deserialize(swapTransactionBuf);
+    transaction.sign([treasury]);
+
+    const rawTransaction = transaction.serialize();
+    const sig = await connection.sendRawTransaction(rawTransaction, {
+      skipPreflight: false,
+      preflightCommitment: 'confirmed',
+      maxRetries: 3
+    });
+    if (onSubmitted) onSubmitted(sig);
+
+    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
+    console.log(`🔗 https://solscan.io/tx/${sig}`);
+    console.log("⏳ Confirming transaction...");
+
+    await connection.confirmTransaction(sig, 'confirmed');
+
+    console.log(`✅ Jupiter swap complete!`);
+    console.log(`🪙 Treasury received ${outAmount.toLocaleString()} XPOSURE tokens (will split next)`);
+
+    return { xposureReceived: outAmount };
+
+  } catch (err) {
+    console.error(`❌ Jupiter swap failed: ${err.message}`);
+    console.error(err.stack);
+    throw err;
+  }
+}
+
+// === DIRECT BONDING CURVE BUY (Like sniper bots do) ===
+export async function buyDirectFromBondingCurve(solAmount, onSubmitted = null, deps) {
+  const { connection, treasury, mint, sleep = defaultSleep } = deps;
+  try {
+    console.log(`🎯 Direct bonding curve buy: ${solAmount.toFixed(4)} SOL`);
+
+    const SYSTEM_PROGRAM = SystemProgram.programId;
+    const RENT_PROGRAM = new PublicKey("SysvarRent111111111111111111111111111111111");
+    const EVENT_AUTHORITY = new PublicKey("Ce6TQqeHC9p8KetsN6JsjHK7UTZk7nasjjnr7XxXp9F1");
+    const FEE_RECIPIENT = new PublicKey("CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM");
+
+    // Get treasury balance BEFORE
+    let balanceBefore = 0;
+    try {
+      balanceBefore = await getTreasuryTokenBalance(deps);
+      console.log(`💰 Treasury balance BEFORE: ${balanceBefore.toLocaleString()} XPOSURE`);
+    } catch (e) {
+      console.log(`💰 Treasury balance BEFORE: 0 XPOSURE`);
+    }
+
+    // Derive PDAs
+    const [bondingCurve] = PublicKey.findProgramAddressSync(
+      [Buffer.from("bonding-curve"), mint.toBuffer()],
+      PUMP_PROGRAM_ID
+    );
+
+    const [associatedBondingCurve] = PublicKey.findProgramAddressSync(
+      [bondingCurve.toBuffer(), TOKEN_PROGRAM_ID.toBuffer(), mint.toBuffer()],
+      new PublicKey("ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL")
+    );
+
+    // Get user's token account
+    const userTokenAccount = await getAssociatedTokenAddress(mint, treasury.publicKey);
+
+    // Price the buy from the live curve reserves and bound what it may cost
+    const policy = getTradePolicy(solAmount);
+    const reserves = await getBondingCurveReserves(deps);
+    if (!reserves || reserves.complete) {
+      throw new Error("Bonding curve unavailable (token graduated)");
+    }
+
+    // Size the buy so its quoted cost plus slippage fits the payment's SOL,
+    // then cap the cost at that quote plus slippage
+    const budget = BigInt(Math.floor(solAmount * LAMPORTS_PER_SOL));
+    const slippage = BigInt(policy.slippageBps);
+    const tokenAmount = quoteBondingCurveBuy(reserves, (budget * 10000n) / (10000n + slippage));
+    if (tokenAmount <= 0n) {
+      throw new Error("Bonding curve quote returned 0 tokens");
+    }
+    const quotedSolCost = quoteBondingCurveCost(reserves, tokenAmount);
+    const withSlippage = (quotedSolCost * (10000n + slippage)) / 10000n;
+    const maxSolCost = withSlippage < budget ? withSlippage : budget;
+    const solQuoted = Number(quotedSolCost) / LAMPORTS_PER_SOL;
+    console.log(`⚙️ Buying ${(Number(tokenAmount) / 1_000_000).toLocaleString()} XPOSURE | Quoted ${solQuoted.toFixed(4)} SOL, max ${(Number(maxSolCost) / LAMPORTS_PER_SOL).toFixed(4)} SOL (${policy.slippagePct}% slippage)`);
+
+    // Build instruction data: [6, 226, 115, 104, 131, 133, 11, 54] is the discriminator for "buy"
+    const instructionData = Buffer.alloc(24);
+    instructionData.set([6, 226, 115, 104, 131, 133, 11, 54], 0); // buy discriminator
+    instructionData.writeBigUInt64LE(tokenAmount, 8); // token amount (6 decimals)
+    instructionData.writeBigUInt64LE(maxSolCost, 16); // max SOL cost in lamports
+
+    // Build transaction
+    const tx = new Transaction();
+
+    // Add compute budget
+    tx.add(
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: policy.computeUnitPrice }),
+      ComputeBudgetProgram.setComputeUnitLimit({ units: policy.computeUnitLimit })
+    );
+
+    // Check if user token account exists
+    const userATA = await connection.getAccountInfo(userTokenAccount);
+    if (!userATA) {
+      console.log("📝 Creating user token account...");
+      tx.add(
+        createAssociatedTokenAccountInstruction(
+          treasury.publicKey,
+          userTokenAccount,
+          treasury.publicKey,
+          mint
+        )
+      );
+    }
+
+    // Add buy instruction
+    tx.add({
+      programId: PUMP_PROGRAM_ID,
+      keys: [
+        { pubkey: new PublicKey("4wTV1YmiEkRvAtNtsSGPtUrqRYQMe5SKy2uB4Jjaxnjf"), isSigner: false, isWritable: false }, // global
+        { pubkey: FEE_RECIPIENT, isSigner: false, isWritable: true }, // feeRecipient
+        { pubkey: mint, isSigner: false, isWritable: false }, // mint
+        { pubkey: bondingCurve, isSigner: false, isWritable: true }, // bondingCurve
+        { pubkey: associatedBondingCurve, isSigner: false, isWritable: true }, // associatedBondingCurve
+        { pubkey: userTokenAccount, isSigner: false, isWritable: true }, // associatedUser
+        { pubkey: treasury.publicKey, isSigner: true, isWritable: true }, // user
+        { pubkey: SYSTEM_PROGRAM, isSigner: false, isWritable: false }, // systemProgram
+        { pubkey: TOKEN_PROGRAM_ID, isSigner: false, isWritable: false }, // tokenProgram
+        { pubkey: RENT_PROGRAM, isSigner: false, isWritable: false }, // rent
+        { pubkey: EVENT_AUTHORITY, isSigner: false, isWritable: false }, // eventAuthority
+        { pubkey: PUMP_PROGRAM_ID, isSigner: false, isWritable: false } // program
+      ],
+      data: instructionData
+    });
+
+    // Send transaction
+    tx.feePayer = treasury.publicKey;
+    tx.recentBlockhash = (await connection.getLatestBlockhash()).blockhash;
+
+    console.log("✍️ Signing transaction...");
+    const sig = await connection.sendTransaction(tx, [treasury], {
+      skipPreflight: false,
+      preflightCommitment: 'confirmed',
+      maxRetries: 3
+    });
+    if (onSubmitted) onSubmitted(sig);
+
+    console.log(`📤 Transaction sent: ${sig.substring(0, 8)}...`);
+    console.log(`🔗 https://solscan.io/tx/${sig}`);
+
+    const confirmation = await connection.confirmTransaction(sig, "confirmed");
+    const txErr = confirmation.value?.err;
+    if (txErr) {
+      if (txErr.InstructionError?.[1]?.Custom === PUMP_TOO_MUCH_SOL_REQUIRED) {
+        throw slippageExceededError(`curve price moved past ${(Number(maxSolCost) / LAMPORTS_PER_SOL).toFixed(4)} SOL`);
+      }
+      throw new Error(`Bonding curve buy failed on-chain: ${JSON.stringify(txErr)}`);
+    }
+    console.log(`✅ Bonding curve buy complete!`);
+
+    // Get balance AFTER
+    await sleep(2000);
+    const balanceAfter = await getTreasuryTokenBalance(deps);
+
+    const tokensReceived = balanceAfter - balanceBefore;
+    console.log(`🪙 Received ${tokensReceived.toLocaleString()} XPOSURE tokens`);
+
+    // The curve charges what the tokens cost, not the whole budget
+    const solSpent = await getBuySolSpent(sig, deps, userTokenAccount);
+    if (solSpent !== null) {
+      console.log(`💸 Spent ${solSpent.toFixed(4)} SOL of ${solAmount.toFixed(4)} SOL (quoted ${solQuoted.toFixed(4)} SOL)`);
+    }
+
+    return { xposureReceived: tokensReceived, solQuoted, solSpent };
+
+  } catch (err) {
+    console.error(`❌ Direct bonding curve buy failed: ${err.message}`);
+    console.error(err.stack);
+    throw err;
+  }
+}
+
+// SOL the treasury paid into a confirmed buy, less the network fee and the
+// rent of a token account it created. Null when the transaction can't be read.
+async function getBuySolSpent(sig, { connection, treasury }, rentAccount) {
+  try {
+    const tx = await connection.getParsedTransaction(sig, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0
+    });
+    if (!tx?.meta) return null;
+
+    const keys = tx.transaction.message.accountKeys.map(k => k.pubkey.toBase58());
+    const delta = (address) => {
+      const i = keys.indexOf(address.toBase58());
+      return i < 0 ? 0 : tx.meta.postBalances[i] - tx.meta.preBalances[i];
+    };
+
+    const lamports = -delta(treasury.publicKey) - tx.meta.fee - delta(rentAccount);
+    return lamports / LAMPORTS_PER_SOL;
+  } catch (err) {
+    console.error(`⚠️ Could not read SOL spent by ${sig.substring(0, 8)}...: ${err.message}`);
+    return null;
+  }
+}
+
+// === BONDING CURVE QUOTE ===
+export const PUMP_PROGRAM_ID = new PublicKey("6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P");
+const PUMP_FEE_BPS = 100; // pump.fun takes 1% of the SOL in
+
+// Reads the curve's virtual/real reserves (u64s after the 8-byte discriminator)
+export async function getBondingCurveReserves({ connection, mint }) {
+  const [bondingCurve] = PublicKey.findProgramAddressSync(
+    [Buffer.from("bonding-curve"), mint.toBuffer()],
+    PUMP_PROGRAM_ID
+  );
+
+  const accountInfo = await connection.getAccountInfo(bondingCurve);
+  if (!accountInfo?.data || accountInfo.data.length < 49) return null;
+
+  const data = accountInfo.data;
+  return {
+    virtualTokenReserves: data.readBigUInt64LE(8),
+    virtualSolReserves: data.readBigUInt64LE(16),
+    realTokenReserves: data.readBigUInt64LE(24),
+    realSolReserves: data.readBigUInt64LE(32),
+    complete: data[48] === 1
+  };
+}
+
+// Raw token units (6 decimals) the curve gives for `lamports` of SOL
+export function quoteBondingCurveBuy(reserves, lamports) {
+  const solIn = (BigInt(lamports) * BigInt(10000 - PUMP_FEE_BPS)) / 10000n;
+  const k = reserves.virtualSolReserves * reserves.virtualTokenReserves;
+  const tokensOut = reserves.virtualTokenReserves - k / (reserves.virtualSolReserves + solIn);
+  return tokensOut < reserves.realTokenReserves ? tokensOut : reserves.realTokenReserves;
+}
+
+// Lamports (fee included) the curve charges for `tokens` raw token units
+export function quoteBondingCurveCost(reserves, tokens) {
+  const k = reserves.virtualSolReserves * reserves.virtualTokenReserves;
+  const solIn = k / (reserves.virtualTokenReserves - BigInt(tokens)) + 1n - reserves.virtualSolReserves;
+  return (solIn * 10000n + BigInt(10000 - PUMP_FEE_BPS) - 1n) / BigInt(10000 - PUMP_FEE_BPS);
+}
+
+export async function getBondingCurveQuote(solAmount, deps) {
+  const reserves = await getBondingCurveReserves(deps);
+  if (!reserves || reserves.complete) return null;
+
+  const rawOut = quoteBondingCurveBuy(reserves, Math.floor(solAmount * LAMPORTS_PER_SOL));
+  return Math.floor(Number(rawOut) / 1_000_000);
+}
+
+// === SWAP ADAPTERS ===
+// Each venue is an adapter with the same shape:
+//   name     - label used in logs and the settlement record
+//   venues   - which market state it can fill: "curve" (pre-graduation) and/or "graduated"
+//   quote()  - expected XPOSURE for solAmount, or null when the venue can't quote
+//   buy()    - executes the swap into the treasury and returns { xposureReceived },
+//              plus { solQuoted, solSpent } when the venue may spend less than solAmount
+//   solSpent() - SOL a landed buy used, read back by signature (those venues only)
+export function createPumpPortalAdapter(deps) {
+  return {
+    name: "pumpportal",
+    venues: ["curve", "graduated"],
+    quote: (solAmount) => getBondingCurveQuote(solAmount, deps), // null once graduated
+    buy: (solAmount, onSubmitted) => buyOnPumpFun(solAmount, onSubmitted, deps)
+  };
+}
+
+export function createBondingCurveAdapter(deps) {
+  return {
+    name: "bonding-curve",
+    venues: ["curve"],
+    quote: (solAmount) => getBondingCurveQuote(solAmount, deps),
+    buy: (solAmount, onSubmitted) => buyDirectFromBondingCurve(solAmount, onSubmitted, deps),
+    solSpent: async (sig) => getBuySolSpent(sig, deps, await getAssociatedTokenAddress(deps.mint, deps.treasury.publicKey))
+  };
+}
+
+export function createJupiterAdapter(deps) {
+  return {
+    name: "jupiter",
+    venues: ["curve", "graduated"],
+    quote: (solAmount) => getJupiterQuote(solAmount, deps),
+    buy: (solAmount, onSubmitted) => buyOnJupiter(solAmount, onSubmitted, deps)
+  };
+}
+
+export function createPumpSwapAdapter(deps) {
+  return {
+    name: "pumpswap",
+    venues: ["graduated"],
+    quote: async () => null, // pumpapi.fun has no quote endpoint
+    buy: (solAmount, onSubmitted) => buyOnPumpSwap(solAmount, onSubmitted, deps)
+  };
+}
+
+// Order breaks ties and ranks venues that can't quote
+export function createSwapAdapters(deps) {
+  return [
+    createPumpPortalAdapter(deps),
+    createJupiterAdapter(deps),
+    createPumpSwapAdapter(deps),
+    createBondingCurveAdapter(deps)
+  ];
+}
+
+export const QUOTE_TIMEOUT = 5000; // 5 seconds per venue
+
+export function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// === SWAP ROUTER ===
+// Quotes every adapter that can fill the current market, tries the best
+// expected output first and falls back down the list when a venue fails.
+// onSubmitted(sig, { venue, market }) fires as soon as a swap is sent.
+export async function routeXPOSUREBuy(solAmount, onSubmitted = null, { adapters, deps, quoteTimeout = QUOTE_TIMEOUT }) {
+  const bonded = await checkIfBonded(deps);
+  const market = bonded ? "graduated" : "curve";
+  const eligible = adapters.filter(a => a.venues.includes(market));
+
+  const quotes = await Promise.all(eligible.map(async (adapter) => {
+    try {
+      const expectedOut = await withTimeout(adapter.quote(solAmount), quoteTimeout, `${adapter.name} quote`);
+      return { adapter, expectedOut };
+    } catch (err) {
+      console.log(`⚠️ ${adapter.name} quote failed: ${err.message}`);
+      return { adapter, expectedOut: null, error: err.message };
+    }
+  }));
+
+  // Best quote first; venues without a quote keep their priority order at the back
+  const ranked = [...quotes].sort((a, b) => (b.expectedOut ?? -1) - (a.expectedOut ?? -1));
+  const quoteSummary = ranked.map(q => ({ venue: q.adapter.name, expectedOut: q.expectedOut }));
+
+  console.log(`🧭 Market: ${market} | Quotes: ${quoteSummary.map(q => `${q.venue}=${q.expectedOut ?? "n/a"}`).join(", ")}`);
+
+  for (const { adapter, expectedOut } of ranked) {
+    let submitted = false;
+
+    try {
+      console.log(`🧭 Routing via ${adapter.name} (expected ${expectedOut?.toLocaleString() ?? "unknown"} XPOSURE)`);
+      const fill = await adapter.buy(solAmount, (sig) => {
+        submitted = true;
+        if (onSubmitted) onSubmitted(sig, { venue: adapter.name, market });
+      });
+
+      return { ...fill, venue: adapter.name, market, expectedOut, quotes: quoteSummary };
+    } catch (err) {
+      // Once a swap is on-chain it may still land - falling back could buy twice
+      if (submitted) throw err;
+      // The price moved past our bound - abort so the payment is refunded
+      if (isSlippageError(err)) {
+        console.error(`🛑 ${adapter.name} exceeded max SOL cost - aborting trade`);
+        throw slippageExceededError(err.message);
+      }
+      console.error(`⚠️ ${adapter.name} failed before submitting: ${err.message} - trying next venue`);
+    }
+  }
+
+  throw new Error(`All ${ranked.length} swap venues failed for ${market} market`);
+}
+
+// === RECOVERED BUYS ===
+// Rebuilds the route of a buy that landed after its confirmation was lost,
+// from the venue recorded when it was submitted. Venues that may spend less
+// than solAmount report what it used, so the rest can still be refunded.
+export async function recoverBuyRoute({ signature, venue, market }, solAmount, { adapters }) {
+  if (!venue) return null;
+
+  const route = { venue, market, recovered: true };
+  const adapter = adapters.find(a => a.name === venue);
+  const solSpent = adapter?.solSpent ? await adapter.solSpent(signature) : null;
+  if (solSpent != null) {
+    route.solSpent = solSpent;
+    route.solUnspent = Math.max(0, solAmount - solSpent);
+  }
+  return route;
+}
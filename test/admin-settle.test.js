@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import bs58 from "bs58";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import { forceSettlePayment } from "../lib/admin-settle.js";
+
+const treasury = Keypair.generate().publicKey;
+const sender = Keypair.generate().publicKey.toBase58();
+const reference = Keypair.generate().publicKey.toBase58();
+const signature = bs58.encode(crypto.randomBytes(64));
+
+// Mocked Connection holding one finalized transfer for the reference
+function mockConnection({ paid = true } = {}) {
+  const transfer = { program: "system", parsed: { type: "transfer", info: { source: sender, destination: treasury.toBase58(), lamports: 250_000_000 } } };
+  return {
+    getSignaturesForAddress: async (address) => (paid && address.toBase58() === reference ? [{ signature, err: null }] : []),
+    getParsedTransaction: async () => ({
+      meta: { err: null, innerInstructions: [] },
+      transaction: {
+        message: {
+          accountKeys: [sender, treasury.toBase58(), reference].map(k => ({ pubkey: new PublicKey(k) })),
+          instructions: [transfer]
+        }
+      }
+    })
+  };
+}
+
+// Settlement hooks that record what the route handed them
+function settleDeps(connection) {
+  const calls = { settled: [], resumed: [] };
+  return {
+    calls,
+    connection,
+    treasury,
+    isSettlementOpen: (payment) => !!payment.settlement && !["registered", "refunded"].includes(payment.settlement.state),
+    resumeSettlement: async (payment) => {
+      calls.resumed.push(payment.reference);
+      return { status: 200, body: { ok: true } };
+    },
+    settlePayment: async (params) => {
+      calls.settled.push(params);
+      return { status: 200, body: { ok: true, xposureAmount: 1000 } };
+    }
+  };
+}
+
+test("settles a reference that was never confirmed from its on-chain transfer", async () => {
+  const deps = settleDeps(mockConnection());
+  const result = await forceSettlePayment({ reference, userId: "42" }, deps);
+
+  assert.deepEqual(result, { status: 200, body: { ok: true, xposureAmount: 1000 } });
+  assert.deepEqual(deps.calls.settled, [{ signature, senderWallet: sender, amount: 0.25, reference, userId: "42", source: "admin" }]);
+});
+
+test("answers 404 when no finalized transfer carries the reference", async () => {
+  const deps = settleDeps(mockConnection({ paid: false }));
+  const result = await forceSettlePayment({ reference, userId: "42" }, deps);
+
+  assert.equal(result.status, 404);
+  assert.equal(result.body.code, "TRANSFER_NOT_FOUND");
+  assert.deepEqual(deps.calls.settled, []);
+});
+
+test("resumes an open settlement without its backoff and refuses a finished one", async () => {
+  const deps = settleDeps(mockConnection());
+  const stalled = { reference, userId: "42", settlement: { state: "bought", nextRetryAt: Date.now() + 60_000 } };
+
+  assert.equal((await forceSettlePayment(stalled, deps)).status, 200);
+  assert.deepEqual(deps.calls.resumed, [reference]);
+  assert.equal(stalled.settlement.nextRetryAt, undefined);
+
+  const done = await forceSettlePayment({ reference, userId: "42", settlement: { state: "registered" } }, deps);
+  assert.equal(done.status, 409);
+  assert.equal(done.body.code, "ALREADY_SETTLED");
+  assert.deepEqual(deps.calls.settled, []);
+});
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import bs58 from "bs58";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import { verifyPaymentTransaction, findReferencePayment, PAYMENT_ERROR_STATUS } from "../lib/payment-verification.js";
+
+const treasury = Keypair.generate().publicKey;
+const sender = Keypair.generate().publicKey.toBase58();
+const reference = Keypair.generate().publicKey.toBase58();
+const newSignature = () => bs58.encode(crypto.randomBytes(64));
+
+// Shape of getParsedTransaction() for a plain SOL transfer
+function parsedTransfer({ from = sender, to = treasury.toBase58(), lamports, ref = reference, err = null, inner = false }) {
+  const transfer = { program: "system", parsed: { type: "transfer", info: { source: from, destination: to, lamports } } };
+  return {
+    meta: { err, innerInstructions: inner ? [{ index: 0, instructions: [transfer] }] : [] },
+    transaction: {
+      message: {
+        accountKeys: [from, to, ref].map(k => ({ pubkey: new PublicKey(k) })),
+        instructions: inner ? [] : [transfer]
+      }
+    }
+  };
+}
+
+// Mocked Connection: finalized transactions and signature statuses by signature
+function mockConnection({ transactions = {}, statuses = {}, signaturesFor = {} } = {}) {
+  return {
+    getParsedTransaction: async (sig) => transactions[sig] ?? null,
+    getSignatureStatus: async (sig) => ({ value: statuses[sig] ?? null }),
+    getSignaturesForAddress: async (address) => signaturesFor[address.toBase58()] ?? []
+  };
+}
+
+const claim = (signature, amount = 0.5) => ({ signature, reference, senderWallet: sender, amount });
+
+test("accepts a finalized transfer that carries the reference", async () => {
+  const sig = newSignature();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ lamports: 500_000_000 }) } });
+  const result = await verifyPaymentTransaction(claim(sig), { connection, treasury });
+  assert.deepEqual(result, { ok: true, lamports: 500_000_000, amount: 0.5 });
+});
+
+test("counts transfers made through inner instructions", async () => {
+  const sig = newSignature();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ lamports: 500_000_000, inner: true }) } });
+  const result = await verifyPaymentTransaction(claim(sig), { connection, treasury });
+  assert.equal(result.ok, true);
+});
+
+test("rejects a transfer smaller than the claimed amount", async () => {
+  const sig = newSignature();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ lamports: 10_000_000 }) } });
+  const result = await verifyPaymentTransaction(claim(sig, 0.5), { connection, treasury });
+  assert.equal(result.code, "AMOUNT_MISMATCH");
+  assert.equal(PAYMENT_ERROR_STATUS[result.code], 422);
+});
+
+test("rejects a transfer to a wallet other than the treasury", async () => {
+  const sig = newSignature();
+  const elsewhere = Keypair.generate().publicKey.toBase58();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ to: elsewhere, lamports: 500_000_000 }) } });
+  const result = await verifyPaymentTransaction(claim(sig), { connection, treasury });
+  assert.equal(result.code, "TRANSFER_NOT_FOUND");
+});
+
+test("rejects a transfer sent from a different wallet than claimed", async () => {
+  const sig = newSignature();
+  const someoneElse = Keypair.generate().publicKey.toBase58();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ from: someoneElse, lamports: 500_000_000 }) } });
+  const result = await verifyPaymentTransaction(claim(sig), { connection, treasury });
+  assert.equal(result.code, "TRANSFER_NOT_FOUND");
+});
+
+test("rejects a transaction that failed on-chain", async () => {
+  const sig = newSignature();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ lamports: 500_000_000, err: { InstructionError: [0, "Custom"] } }) } });
+  const result = await verifyPaymentTransaction(claim(sig), { connection, treasury });
+  assert.equal(result.code, "TX_FAILED");
+});
+
+test("reports unfinalized, failed and unknown signatures that aren't finalized yet", async () => {
+  const pending = newSignature();
+  const failed = newSignature();
+  const connection = mockConnection({
+    statuses: { [pending]: { confirmationStatus: "confirmed", err: null }, [failed]: { err: { InstructionError: [0, "Custom"] } } }
+  });
+  assert.equal((await verifyPaymentTransaction(claim(pending), { connection, treasury })).code, "TX_NOT_FINALIZED");
+  assert.equal((await verifyPaymentTransaction(claim(failed), { connection, treasury })).code, "TX_FAILED");
+  assert.equal((await verifyPaymentTransaction(claim(newSignature()), { connection, treasury })).code, "TX_NOT_FOUND");
+});
+
+test("rejects a transaction without the payment reference", async () => {
+  const sig = newSignature();
+  const otherRef = Keypair.generate().publicKey.toBase58();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ ref: otherRef, lamports: 500_000_000 }) } });
+  const result = await verifyPaymentTransaction(claim(sig), { connection, treasury });
+  assert.equal(result.code, "REFERENCE_MISMATCH");
+});
+
+test("rejects a signature that already settled another session", async () => {
+  const sig = newSignature();
+  const connection = mockConnection({ transactions: { [sig]: parsedTransfer({ lamports: 500_000_000 }) } });
+  const settled = { [sig]: { reference: Keypair.generate().publicKey.toBase58() } };
+
+  const result = await verifyPaymentTransaction(claim(sig), { connection, treasury, findBySignature: (s) => settled[s] });
+  assert.equal(result.code, "SIGNATURE_REUSED");
+  assert.equal(PAYMENT_ERROR_STATUS[result.code], 409);
+
+  // The same session may re-confirm its own signature
+  const own = await verifyPaymentTransaction(claim(sig), { connection, treasury, findBySignature: () => ({ reference }) });
+  assert.equal(own.ok, true);
+});
+
+test("rejects malformed signatures and lookup failures", async () => {
+  const connection = { getParsedTransaction: async () => { throw new Error("503"); } };
+  assert.equal((await verifyPaymentTransaction(claim("not-a-signature"), { connection, treasury })).code, "INVALID_SIGNATURE");
+  assert.equal((await verifyPaymentTransaction(claim(newSignature()), { connection, treasury })).code, "TX_LOOKUP_FAILED");
+});
+
+test("finds the transfer behind a reference, skipping failed transactions", async () => {
+  const failed = newSignature();
+  const paid = newSignature();
+  const connection = mockConnection({
+    signaturesFor: { [reference]: [{ signature: failed, err: null }, { signature: paid, err: null }] },
+    transactions: {
+      [failed]: parsedTransfer({ lamports: 500_000_000, err: { InstructionError: [0, "Custom"] } }),
+      [paid]: parsedTransfer({ lamports: 250_000_000 })
+    }
+  });
+  assert.deepEqual(await findReferencePayment(reference, { connection, treasury }), { signature: paid, senderWallet: sender, amount: 0.25 });
+  assert.equal(await findReferencePayment(Keypair.generate().publicKey.toBase58(), { connection, treasury }), null);
+});
@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { tallyVotes, rankEntries, allocatePrizes, drawKey, PRIZE_WEIGHTS } from "../lib/ranking.js";
+
+const SEED = "EkSnNWid2cvwEVnVx9aBqawnmiCNiDgp3gUdkDPTKN1N";
+const entries = ["a", "b", "c"].map(userId => ({ userId }));
+const vote = (voter_id, entry_user_id, count = 1, created_at = 0) => ({ voter_id, entry_user_id, count, created_at });
+const byUser = (tallied) => Object.fromEntries(tallied.map(t => [t.userId, t]));
+
+// === TALLY PER VOTING MODE ===
+
+test("one person, one vote scores the number of voters", () => {
+  const votes = [vote("v1", "a"), vote("v2", "a"), vote("v3", "b")];
+  const t = byUser(tallyVotes(entries, votes, { mode: "one" }));
+  assert.deepEqual([t.a.score, t.b.score, t.c.score], [2, 1, 0]);
+});
+
+test("stake-weighted scores the lamports paid in by each entry's voters", () => {
+  const stakes = { whale: 5_000_000_000, v1: 100_000_000, v2: 100_000_000 };
+  const votes = [vote("whale", "b"), vote("v1", "a"), vote("v2", "a")];
+  const t = byUser(tallyVotes(entries, votes, { mode: "stake", stakeOf: (id) => stakes[id] }));
+  assert.deepEqual([t.a.score, t.b.score], [200_000_000, 5_000_000_000]);
+  assert.deepEqual([t.a.votes, t.b.votes], [2, 1]);
+});
+
+test("quadratic scores the votes spread onto each track", () => {
+  // v1 spends 9 credits on 3 votes for a; v2 puts 2 votes on b and 1 on c
+  const votes = [vote("v1", "a", 3), vote("v2", "b", 2), vote("v2", "c", 1)];
+  const t = byUser(tallyVotes(entries, votes, { mode: "quadratic" }));
+  assert.deepEqual([t.a.score, t.b.score, t.c.score], [3, 2, 1]);
+});
+
+// Three first choices for a, two for b (who all rank c second) and one for c (b second)
+const rankedVotes = [
+  vote("v1", "a", 3), vote("v2", "a", 3), vote("v3", "a", 3),
+  vote("v4", "b", 3), vote("v4", "c", 2), vote("v5", "b", 3), vote("v5", "c", 2),
+  vote("v6", "c", 3), vote("v6", "b", 2)
+];
+
+test("ranked choice counts instant-runoff by the round each track went out in", () => {
+  const t = byUser(tallyVotes(entries, rankedVotes, { mode: "ranked", rankedMethod: "irv" }));
+  // c goes out first with 1 vote; its ballot moves to b, leaving a and b level at 3 in round 2
+  assert.deepEqual([t.c.runoffRound, t.c.runoffVotes], [1, 1]);
+  assert.deepEqual([t.a.runoffRound, t.a.runoffVotes], [2, 3]);
+  assert.deepEqual([t.b.runoffRound, t.b.runoffVotes], [2, 3]);
+  assert.deepEqual([t.a.score, t.b.score, t.c.score], [2, 2, 1]);
+});
+
+test("ranked choice counts Borda points when configured", () => {
+  const t = byUser(tallyVotes(entries, rankedVotes, { mode: "ranked", rankedMethod: "borda" }));
+  assert.deepEqual([t.a.score, t.b.score, t.c.score], [9, 8, 7]);
+});
+
+test("records when each entry reached its final count", () => {
+  const votes = [vote("v1", "a", 1, 100), vote("v2", "a", 1, 300), vote("v3", "b", 1, 200)];
+  const t = byUser(tallyVotes(entries, votes, { mode: "one" }));
+  assert.deepEqual([t.a.reachedAt, t.b.reachedAt, t.c.reachedAt], [300, 200, null]);
+});
+
+// === TIE-BREAK CHAIN ===
+
+const standing = (overrides) => ({ score: 5, votes: 5, stake: 1000, reachedAt: 100, ...overrides });
+const order = (ranked) => ranked.map(e => e.userId);
+
+test("orders by score first", () => {
+  const ranked = rankEntries([standing({ userId: "a", score: 4, votes: 9 }), standing({ userId: "b", score: 5, votes: 1 })], SEED);
+  assert.deepEqual(order(ranked), ["b", "a"]);
+  assert.deepEqual(ranked.map(e => e.rank), [1, 2]);
+});
+
+test("breaks score ties by voters, then stake, then earliest vote reached", () => {
+  const byVoters = rankEntries([standing({ userId: "a", votes: 3, stake: 9999 }), standing({ userId: "b", votes: 4 })], SEED);
+  assert.deepEqual(order(byVoters), ["b", "a"]);
+
+  const byStake = rankEntries([standing({ userId: "a", stake: 500, reachedAt: 1 }), standing({ userId: "b", stake: 900 })], SEED);
+  assert.deepEqual(order(byStake), ["b", "a"]);
+
+  const byReached = rankEntries([standing({ userId: "a", reachedAt: 250 }), standing({ userId: "b", reachedAt: 120 })], SEED);
+  assert.deepEqual(order(byReached), ["b", "a"]);
+  assert.deepEqual(byReached.map(e => e.rank), [1, 2]);
+});
+
+test("entries without votes sort after those that reached a count", () => {
+  const ranked = rankEntries([standing({ userId: "a", reachedAt: null }), standing({ userId: "b", reachedAt: 999 })], SEED);
+  assert.deepEqual(order(ranked), ["b", "a"]);
+});
+
+test("co-ranks entries level on every step and orders them by the seeded draw", () => {
+  const level = ["a", "b", "c", "d"].map(userId => standing({ userId }));
+  const ranked = rankEntries(level, SEED);
+
+  const expected = [...level].sort((x, y) => drawKey(SEED, x.userId).localeCompare(drawKey(SEED, y.userId)));
+  assert.deepEqual(order(ranked), order(expected));
+  assert.deepEqual(ranked.map(e => e.rank), [1, 1, 1, 1]);
+  assert.deepEqual(ranked.map(e => e.position), [1, 2, 3, 4]);
+
+  // Anyone holding the seed recomputes the same draw
+  assert.deepEqual(order(rankEntries(level, SEED)), order(ranked));
+  assert.equal(ranked[0].drawKey, drawKey(SEED, ranked[0].userId));
+});
+
+// === PRIZE SPLITS ===
+
+test("pays each slot its weight", () => {
+  const ranked = rankEntries(["a", "b", "c", "d", "e", "f"].map((userId, i) => standing({ userId, score: 10 - i })), SEED);
+  const prizes = allocatePrizes(ranked, 100_000);
+  assert.deepEqual(order(ranked).map(id => prizes.get(id)), [40_000, 25_000, 20_000, 10_000, 5_000, undefined]);
+});
+
+test("co-ranked entries split the slots they cover evenly", () => {
+  const ranked = rankEntries([
+    standing({ userId: "a", score: 9 }),
+    standing({ userId: "b" }),
+    standing({ userId: "c" }),
+    standing({ userId: "d", score: 1 })
+  ], SEED);
+  const prizes = allocatePrizes(ranked, 100_000);
+
+  // b and c share 2nd and 3rd place: (25% + 20%) / 2 each
+  assert.equal(prizes.get("a"), 40_000);
+  assert.equal(prizes.get("b"), 22_500);
+  assert.equal(prizes.get("c"), 22_500);
+  assert.equal(prizes.get("d"), 10_000);
+});
+
+test("a tie across the last paying slot shares only the paying weight", () => {
+  const ranked = rankEntries([
+    ...["a", "b", "c", "d"].map((userId, i) => standing({ userId, score: 10 - i })),
+    standing({ userId: "e", score: 1 }),
+    standing({ userId: "f", score: 1 })
+  ], SEED);
+  const prizes = allocatePrizes(ranked, 100_000);
+
+  // e and f share the 5% slot; the slot after it pays nothing
+  assert.equal(prizes.get("e"), 2_500);
+  assert.equal(prizes.get("f"), 2_500);
+  assert.equal(PRIZE_WEIGHTS.length, 5);
+});
+
+test("rounds shares down so the pool is never overspent", () => {
+  const ranked = rankEntries(["a", "b", "c"].map(userId => standing({ userId })), SEED);
+  const prizes = allocatePrizes(ranked, 1001);
+  const total = [...prizes.values()].reduce((sum, p) => sum + p, 0);
+  assert.equal(prizes.get("a"), Math.floor(1001 * 0.85 / 3));
+  assert.ok(total <= 1001);
+});
@@ -0,0 +1,237 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import { Keypair, PublicKey, VersionedTransaction } from "@solana/web3.js";
+import {
+  buyDirectFromBondingCurve,
+  createSwapAdapters,
+  getJupiterQuote,
+  getTradePolicy,
+  quoteBondingCurveBuy,
+  quoteBondingCurveCost,
+  recoverBuyRoute,
+  routeXPOSUREBuy,
+  PUMP_PROGRAM_ID
+} from "../lib/swap.js";
+import { getAssociatedTokenAddressSync } from "@solana/spl-token";
+
+// Fixtures follow the venues' response shapes; the transactions are built for
+// the fixed treasury below so the adapters can sign them.
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+const JUPITER_QUOTE = JSON.parse(fixture("jupiter-quote.json"));
+const JUPITER_SWAP = JSON.parse(fixture("jupiter-swap.json"));
+const PUMPPORTAL_TX = fixture("pumpportal-trade-local.bin");
+
+const treasury = Keypair.fromSeed(new Uint8Array(32).fill(7));
+const mint = new PublicKey("G2NBQ9fUeQEDdTpYzp68d7DePKY4vEUmNYP2kYZHpump");
+const SIGNATURE = "5Fq9hWv3sY7pQ2kD8rLmN4xC1bT6gJ0aZuE";
+
+// Bonding curve account: discriminator, then virtual/real reserves and the complete flag
+function curveAccount({ virtualTokenReserves = 1_072_999_999_999_999n, virtualSolReserves = 30_000_000_000n, realTokenReserves = 793_100_000_000_000n } = {}) {
+  const data = Buffer.alloc(49);
+  data.writeBigUInt64LE(virtualTokenReserves, 8);
+  data.writeBigUInt64LE(virtualSolReserves, 16);
+  data.writeBigUInt64LE(realTokenReserves, 24);
+  data.writeBigUInt64LE(0n, 32);
+  return { data };
+}
+
+function curvePda() {
+  return PublicKey.findProgramAddressSync([Buffer.from("bonding-curve"), mint.toBuffer()], PUMP_PROGRAM_ID)[0];
+}
+
+function ataOf(owner) {
+  return getAssociatedTokenAddressSync(mint, owner);
+}
+
+function mockConnection({ curve = curveAccount(), confirm = async () => ({ value: { err: null } }) } = {}) {
+  const sent = [];
+  return {
+    sent,
+    getAccountInfo: async () => curve,
+    getTokenAccountBalance: async () => ({ value: { uiAmount: 0 } }),
+    sendRawTransaction: async (raw) => {
+      sent.push(VersionedTransaction.deserialize(raw));
+      return SIGNATURE;
+    },
+    confirmTransaction: confirm
+  };
+}
+
+// Serves venue responses from fixtures; `routes` overrides a URL prefix
+function fixtureFetch(routes = {}) {
+  const calls = [];
+  const defaults = {
+    "https://quote-api.jup.ag/v6/quote": () => jsonResponse(JUPITER_QUOTE),
+    "https://quote-api.jup.ag/v6/swap": () => jsonResponse(JUPITER_SWAP),
+    "https://pumpportal.fun/api/trade-local": () => binaryResponse(PUMPPORTAL_TX)
+  };
+  const fetch = async (url, options) => {
+    calls.push(url);
+    const prefix = Object.keys({ ...defaults, ...routes }).find(p => url.startsWith(p));
+    if (!prefix) throw new Error(`Unexpected request: ${url}`);
+    return (routes[prefix] || defaults[prefix])(url, options);
+  };
+  fetch.calls = calls;
+  return fetch;
+}
+
+const jsonResponse = (body) => ({ ok: true, status: 200, json: async () => body });
+const binaryResponse = (buf) => ({ ok: true, status: 200, arrayBuffer: async () => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.length) });
+const errorResponse = (status) => ({ ok: false, status, statusText: "Error", text: async () => "unavailable" });
+
+function swapDeps(overrides = {}) {
+  return { connection: mockConnection(), fetch: fixtureFetch(), treasury, mint, sleep: async () => {}, ...overrides };
+}
+
+test("reads the expected output from a Jupiter quote", async () => {
+  const deps = swapDeps();
+  assert.equal(await getJupiterQuote(0.5, deps), 18_250_000);
+  assert.match(deps.fetch.calls[0], /amount=500000000&slippageBps=\d+$/);
+  assert.ok(deps.fetch.calls[0].includes(`outputMint=${mint.toBase58()}`));
+});
+
+test("routes through the venue with the best quote", async () => {
+  const deps = swapDeps();
+  const submitted = [];
+  const route = await routeXPOSUREBuy(0.5, (sig, details) => submitted.push([sig, details]), { adapters: createSwapAdapters(deps), deps });
+
+  assert.equal(route.market, "curve");
+  assert.equal(route.venue, "jupiter");
+  assert.equal(route.xposureReceived, 18_250_000);
+  assert.equal(route.quotes[0].venue, "jupiter");
+  assert.ok(route.quotes[1].expectedOut < 18_250_000);
+  assert.deepEqual(submitted, [[SIGNATURE, { venue: "jupiter", market: "curve" }]]);
+
+  // The swap was signed by the treasury and sent once
+  assert.equal(deps.connection.sent.length, 1);
+  assert.ok(deps.connection.sent[0].signatures[0].some(byte => byte !== 0));
+  assert.ok(!deps.fetch.calls.some(url => url.includes("pumpportal")));
+});
+
+test("ranks a timed-out quote last and falls back when a venue fails before submitting", async () => {
+  let quoteRequests = 0;
+  const fetch = fixtureFetch({
+    // The first Jupiter quote never answers; the one made while buying does
+    "https://quote-api.jup.ag/v6/quote": () => (++quoteRequests === 1 ? new Promise(() => {}) : jsonResponse(JUPITER_QUOTE)),
+    "https://pumpportal.fun/api/trade-local": () => errorResponse(503)
+  });
+  // Graduated market: no bonding curve account, so no venue can quote
+  const deps = swapDeps({ fetch, connection: mockConnection({ curve: null }) });
+
+  const route = await routeXPOSUREBuy(0.5, null, { adapters: createSwapAdapters(deps), deps, quoteTimeout: 20 });
+
+  assert.equal(route.market, "graduated");
+  assert.deepEqual(route.quotes.map(q => [q.venue, q.expectedOut]), [["pumpportal", null], ["jupiter", null], ["pumpswap", null]]);
+  assert.equal(route.venue, "jupiter");
+  assert.equal(deps.connection.sent.length, 1);
+});
+
+test("never falls back once a swap was submitted and its outcome is unknown", async () => {
+  const connection = mockConnection({
+    confirm: async () => { throw new Error("block height exceeded"); }
+  });
+  const deps = swapDeps({ connection });
+  const submitted = [];
+
+  await assert.rejects(
+    routeXPOSUREBuy(0.5, (sig) => submitted.push(sig), { adapters: createSwapAdapters(deps), deps }),
+    /block height exceeded/
+  );
+
+  // The signature was handed back for recovery and no other venue was tried
+  assert.deepEqual(submitted, [SIGNATURE]);
+  assert.equal(connection.sent.length, 1);
+  assert.ok(!deps.fetch.calls.some(url => url.includes("pumpportal")));
+});
+
+test("aborts without falling back when a venue reports slippage", async () => {
+  const connection = mockConnection();
+  connection.sendRawTransaction = async () => {
+    const err = new Error("Simulation failed");
+    err.logs = ["Program log: Error: SlippageToleranceExceeded"];
+    throw err;
+  };
+  const deps = swapDeps({ connection });
+
+  await assert.rejects(
+    routeXPOSUREBuy(0.5, null, { adapters: createSwapAdapters(deps), deps }),
+    (err) => err.code === "SLIPPAGE_EXCEEDED"
+  );
+  assert.ok(!deps.fetch.calls.some(url => url.includes("pumpportal")));
+});
+
+// Treasury paid 0.4 SOL to the curve, the 5000 lamport fee and 0.00203928 SOL of token account rent
+function curveBuyTransaction() {
+  return {
+    meta: { fee: 5000, preBalances: [1_000_000_000, 0], postBalances: [597_955_720, 2_039_280] },
+    transaction: { message: { accountKeys: [treasury.publicKey, ataOf(treasury.publicKey)].map(pubkey => ({ pubkey })) } }
+  };
+}
+
+// Reserves as the curve account above encodes them
+const RESERVES = { virtualTokenReserves: 1_072_999_999_999_999n, virtualSolReserves: 30_000_000_000n, realTokenReserves: 793_100_000_000_000n };
+
+test("refuses to load with a trade policy setting that isn't a number", async () => {
+  process.env.SLIPPAGE_PCT = "1O";
+  try {
+    // A fresh module instance reads the environment again
+    await assert.rejects(import("../lib/swap.js?bad-slippage"), /SLIPPAGE_PCT must be a non-negative number up to 100/);
+  } finally {
+    delete process.env.SLIPPAGE_PCT;
+  }
+});
+
+test("prices a curve buy's cost as the inverse of its token quote", () => {
+  const tokens = quoteBondingCurveBuy(RESERVES, 400_000_000n);
+  const cost = quoteBondingCurveCost(RESERVES, tokens);
+  const diff = cost - 400_000_000n;
+  assert.ok(diff > -1000n && diff < 10n, `cost ${cost} lamports`);
+  assert.ok(quoteBondingCurveBuy(RESERVES, cost) >= tokens);
+});
+
+test("bounds a direct curve buy by its quote plus slippage and reports the SOL it spent", async () => {
+  const sent = [];
+  const balances = [0, 16_000_000];
+  const connection = {
+    getAccountInfo: async (key) => (sent.length || !key.equals(curvePda()) ? null : curveAccount()),
+    getTokenAccountBalance: async () => ({ value: { uiAmount: balances.shift() } }),
+    getLatestBlockhash: async () => ({ blockhash: "EkSnNWid2cvwEVnVx9aBqawnmiCNiDgp3gUdkDPTKN1N" }),
+    sendTransaction: async (tx) => { sent.push(tx); return SIGNATURE; },
+    confirmTransaction: async () => ({ value: { err: null } }),
+    getParsedTransaction: async () => curveBuyTransaction()
+  };
+  const deps = swapDeps({ connection });
+
+  const fill = await buyDirectFromBondingCurve(0.5, null, deps);
+
+  const data = sent[0].instructions.at(-1).data;
+  const tokenAmount = data.readBigUInt64LE(8);
+  const maxSolCost = data.readBigUInt64LE(16);
+  const { slippageBps } = getTradePolicy(0.5);
+  const quotedCost = quoteBondingCurveCost(RESERVES, tokenAmount);
+
+  const withSlippage = (quotedCost * BigInt(10000 + slippageBps)) / 10000n;
+  assert.equal(maxSolCost, withSlippage < 500_000_000n ? withSlippage : 500_000_000n);
+  assert.ok(500_000_000n - maxSolCost < 1000n);
+  assert.ok(maxSolCost <= 500_000_000n);
+  assert.equal(fill.xposureReceived, 16_000_000);
+  assert.equal(fill.solQuoted, Number(quotedCost) / 1e9);
+  assert.equal(fill.solSpent, 0.4);
+});
+
+test("recovers the SOL a landed curve buy left unspent from its recorded venue", async () => {
+  const connection = { getParsedTransaction: async (sig) => (sig === SIGNATURE ? curveBuyTransaction() : null) };
+  const adapters = createSwapAdapters(swapDeps({ connection }));
+
+  const route = await recoverBuyRoute({ signature: SIGNATURE, venue: "bonding-curve", market: "curve" }, 0.5, { adapters });
+  assert.deepEqual([route.venue, route.market, route.recovered, route.solSpent], ["bonding-curve", "curve", true, 0.4]);
+  assert.ok(Math.abs(route.solUnspent - 0.1) < 1e-9);
+
+  // Venues that spend the whole amount have nothing to refund
+  const jupiter = await recoverBuyRoute({ signature: SIGNATURE, venue: "jupiter", market: "curve" }, 0.5, { adapters });
+  assert.equal(jupiter.solUnspent, undefined);
+
+  // Submitted before venues were recorded
+  assert.equal(await recoverBuyRoute({ signature: SIGNATURE }, 0.5, { adapters }), null);
+});